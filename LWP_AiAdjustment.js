@@ -4,9 +4,191 @@
 
 /*:
  * @target MV MZ
- * @plugindesc Allows finer control over the battle actions of enemies.
+ * @plugindesc Allows finer control over the battle actions of enemies and auto-battle actors.
  * @author Logan Pickup
  * 
+ * @param AI Profiles
+ * @type struct<AiProfile>[]
+ * @default []
+ * @desc Shared sets of skill-ai rules. Use <ai-profile name> in a note to
+ * include a profile's rules.
+ * 
+ * @param Invalid Rules
+ * @type select
+ * @option warn
+ * @option error
+ * @default warn
+ * @desc What to do with skill-ai rules that can't be understood. "warn" logs
+ * them to the console and ignores them; "error" stops the game.
+ * 
+ * @param Random Seed
+ * @type number
+ * @default 
+ * @desc A number to make enemies choose their actions and targets the
+ * same way every time a battle is fought. Leave blank for normal play.
+ * 
+ * @param Low Fraction
+ * @default 1/3
+ * @desc "low" for hp, mp and other values with a maximum means below this
+ * much of the maximum. A fraction (1/3), decimal (0.25) or percentage.
+ * 
+ * @param High Fraction
+ * @default 2/3
+ * @desc "high" for hp, mp and other values with a maximum means above
+ * this much of the maximum.
+ * 
+ * @param Low Number
+ * @default 3
+ * @desc "low" for values without a maximum means below this number.
+ * 
+ * @param High Number
+ * @default 5
+ * @desc "high" for values without a maximum means above this number.
+ * 
+ * @param Target Multiplier
+ * @default 2
+ * @desc How much a target rule without a rate, like "target .hp low",
+ * multiplies tgr by.
+ * 
+ * @param Threat Weight
+ * @default 0
+ * @desc How much threat adds to tgr. 0 leaves tgr alone; with 2, a target
+ * with all the threat is 3 times as likely to be chosen.
+ * 
+ * @param Troop Coordination
+ * @type boolean
+ * @default false
+ * @desc Enemies choose targets knowing what the rest of the troop is
+ * about to do. Can also be turned on for one troop with <ai-coordinate>.
+ * 
+ * @param Debug Log
+ * @type select
+ * @option off
+ * @option summary
+ * @option verbose
+ * @default off
+ * @desc Logs how enemies choose their actions and targets to the console.
+ * "verbose" also lists which rules were used.
+ * 
+ * @param Debug Enemies
+ * @desc Enemy IDs to log, separated by commas, for example 3, 12. Leave
+ * blank to log every battler.
+ * 
+ * @param Inspector Key
+ * @type number
+ * @default 118
+ * @desc Key code of the key that shows or hides the AI inspector in
+ * playtest battles. 118 is F7; 0 turns the inspector off.
+ * 
+ * @command addRule
+ * @text Add Rule
+ * @desc Adds a rule for one skill to an enemy, until the end of battle.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @arg skill
+ * @text Skill
+ * @desc The skill, written as in <skill-ai skill>: an ID, name, *, etc.
+ * 
+ * @arg rule
+ * @text Rule
+ * @desc The rule, written as in a <skill-ai> block, e.g.
+ * boost 5 when me.hp low
+ * 
+ * @command removeRule
+ * @text Remove Rule
+ * @desc Stops one of an enemy's rules applying, until the end of battle.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @arg skill
+ * @text Skill
+ * @desc The skill, written exactly as in the <skill-ai> header of the
+ * block the rule is in.
+ * 
+ * @arg rule
+ * @text Rule
+ * @desc The rule to remove.
+ * 
+ * @command setProfile
+ * @text Set Profile
+ * @desc Gives an enemy different AI profiles in place of the ones in its
+ * note.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @arg profile
+ * @text Profile
+ * @desc Profile names, separated by commas. Leave blank to go back to the
+ * profiles in the enemy's note.
+ * 
+ * @command disable
+ * @text Disable AI Rules
+ * @desc The enemy ignores all of its skill-ai rules.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @command enable
+ * @text Enable AI Rules
+ * @desc The enemy uses its skill-ai rules again.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @command clear
+ * @text Clear Changes
+ * @desc Undoes every change made to an enemy's rules by these commands.
+ * 
+ * @arg enemy
+ * @text Enemy
+ * @type number
+ * @min 0
+ * @default 1
+ * @desc The enemy's position in the troop, 1 for the first. 0 for every
+ * enemy in the troop.
+ * 
+ * @command aiReport
+ * @text Save AI Report
+ * @desc In a playtest, saves a report of every enemy's AI to the game
+ * folder, as ai-report.md or ai-report.json.
+ * 
+ * @arg format
+ * @text Format
+ * @type select
+ * @option markdown
+ * @option json
+ * @default markdown
+ * @desc Markdown to read, or JSON for other tools.
+ * 
  * @help
  * Provides some notetags to allow changing the way the enemies select
  * skills to use and the targets to use them on. It does this by tweaking
@@ -30,6 +212,30 @@
  * All the modifiers between <skill-ai> and </skill-ai> will
  * apply to this enemy's use of the skill.
  * 
+ * Instead of a single skill, a block can cover a whole group of skills:
+ * <skill-ai *>: every skill.
+ * <skill-ai stype 2>: every skill of skill type 2. The skill type's
+ * name can be used instead, e.g. <skill-ai stype Magic>.
+ * <skill-ai element Fire>: every skill with the Fire element (or
+ * element ID, e.g. <skill-ai element 2>). Skills that use the normal
+ * attack element match the elements of the battler's attack.
+ * <skill-ai attack> and <skill-ai guard>: the battler's attack and
+ * guard skills.
+ * <skill-ai physical>, <skill-ai magical>, <skill-ai certain hit>:
+ * every skill with that hit type.
+ * <skill-ai hp damage>, <skill-ai mp damage>, <skill-ai hp recover>,
+ * <skill-ai mp recover>, <skill-ai hp drain>, <skill-ai mp drain>:
+ * every skill with that damage type. "damage", "heal" and "drain" are
+ * short for the HP versions.
+ * A skill with exactly the same name comes first, so if there is a
+ * skill named "Heal", <skill-ai Heal> is just that skill. Put "hit" or
+ * "type" in front to always mean the hit or damage type, e.g.
+ * <skill-ai hit physical> or <skill-ai type heal>. The words "attack"
+ * and "guard" always mean the battler's attack and guard skills.
+ * The modifiers in a group block apply to every entry in the action
+ * patterns that uses a matching skill, along with the modifiers of any
+ * other blocks that match it.
+ * 
  * There are two kinds of modifiers: changes to "rating", which
  * affects how often the skill is selected by the enemy, and changes
  * to "tgr", which affect how the enemy chooses targets for the
@@ -53,25 +259,88 @@
  * example, "ally.hp below 50%" will trigger if any ally has hp
  * below 50%. Use "all" to specify that all battlers in that category
  * must match, not just any one. A "property selector" will usually
- * follow immediately, and can be any property of battlers; for example:
+ * follow immediately, and can be any property RPG Maker or another
+ * plugin gives battlers; for example:
  * .hp
  * .mp
  * .atk
- * ...etc. Only hp and mp allow checking against percentages.
+ * ...etc. Percentages work for hp, mp, tp and properties with a
+ * maximum; see below.
  * Additionally, the following special properties are supported:
  * .state
+ * .weakness: how much damage the battler takes from the element of the
+ * skill being considered: 1 is normal, 2 is double damage, 0.5 half,
+ * 0 immune. Skills using the normal attack element use the user's
+ * attack elements, exactly as RPG Maker does when dealing damage.
+ * .expected damage: the damage the skill being considered would do to
+ * the battler with a single hit, worked out by RPG Maker's own damage
+ * formula but without random variance or critical hits. Healing skills
+ * give negative numbers. Percentages are of the battler's current HP
+ * (or MP, for skills that damage MP), so ".expected damage above 50%"
+ * means more than half their HP.
+ * .buff param/.debuff param: how many levels of buff or debuff the
+ * battler has on a parameter, from 0 to 2; param is one of mhp, mmp,
+ * atk, def, mat, mdf, agi or luk. "max" is true at 2 levels. For
+ * example "enemy.buff atk above 0" is true if any enemy has an attack
+ * buff, and "target .debuff def zero" targets battlers whose defence
+ * hasn't been lowered yet.
+ * .elementRate element: how much damage the battler takes from an
+ * element (1 is normal, 2 double, 0 immune). element is the element's
+ * ID or name, e.g. ".elementRate Fire above 1".
+ * .stateRate state: the chance of a state sticking to the battler
+ * (1 is normal, 0 immune). state is the state's ID or name, e.g.
+ * ".stateRate Poison above 0.5".
+ * There are also properties that remember what happened earlier in
+ * the battle; see "Memory" below.
  * Instead of a battler, you can compare switches and variables,
  * e.g. "variable 2" or "switch 1".
+ * You can also compare some facts about the battle itself:
+ * turn: the current turn number, counted the same way as the "Turn"
+ * condition in the enemy's action patterns.
+ * count ally/count enemy: the number of living battlers on that side.
+ * count dead ally/count dead enemy: the number of dead battlers on
+ * that side.
+ * These work anywhere a variable does, e.g. "boost 5 when turn above 3"
+ * or "nerf 4 when count enemy below 2".
+ * For battlers with more than one action a turn (from "Action Times +"),
+ * each action is chosen in turn and its ratings are worked out afresh:
+ * slot: which of this turn's actions is being chosen, 1 for the first.
+ * chosen this turn: how many of this turn's earlier actions are the
+ * skill being rated. On its own it's true if any are, so
+ * "nerf 10 when chosen this turn" stops a buff being cast twice, and
+ * "force when slot equal 1" makes the skill the battler's first action.
  * 
  * The battler/switch/variable (the "subject") is then compared
  * to a value. These are the permitted comparisons:
  * zero: true if the subject is zero.
- * low: for hp/mp, true if below 33%. For other values, true if below 3.
- * high: for hp/mp, true if above 66%. For other values, true if above 5.
- * max: for hp/mp only, true if at maximum.
+ * low: for hp/mp/tp and other values with a maximum, true if below
+ * Low Fraction (1/3 by default) of the maximum. For other values, true
+ * if below Low Number (3 by default).
+ * high: the same, but above High Fraction (2/3 by default) of the
+ * maximum, or above High Number (5 by default).
+ * (See "Thresholds" below to change them.)
+ * max: for hp/mp/tp only, true if at maximum.
+ * lethal: for .expected damage only, true if the damage is at least
+ * as much as the battler's current HP, i.e. the skill would kill them
+ * (or, for MP damage, their current MP).
  * below/equal/above/not equal x: true based on comparing the subject to x.
- * "x" can be a plain number, a variable (e.g. "variable 3"), or a
- * percentage (for hp/mp only).
+ * between x and y/not between x and y: true if the subject is (or
+ * isn't) from x to y, including x and y themselves.
+ * "x" and "y" can be:
+ * - a plain number; decimals like 0.5 are fine.
+ * - a percentage, e.g. 12.5%, of the maximum of what's being compared.
+ * That works for hp, mp and tp, and for anything else with a maximum,
+ * like .expected damage (a percentage of the target's HP). Anything
+ * without one, like .atk or a variable, can't use percentages.
+ * - a variable, e.g. "variable 3".
+ * - a property of me, e.g. "me.atk", or of the battler being compared,
+ * e.g. ".mhp". Any property that works before the comparison works.
+ * - a sum worked out from those with + - * / and brackets, e.g.
+ * "variable 3 * 2" or "(me.atk + me.mat) / 2".
+ * For example:
+ * boost 3 when me.hp between 20% and 50%
+ * boost 5 when enemy.hp below me.atk * 2
+ * target 2x .tp above 75%
  * is/is not x: used when comparing states or switches. For states,
  * "x" is a state name or ID, and the condition is true if the
  * battler is currently affected by (or not affected by, for "is not")
@@ -92,14 +361,42 @@
  * box; so if you have a monster with the skill "Heal" and rating 5,
  * and a boost 6 and a nerf 4 both apply, the final rating will be
  * 5 + 6 - 4 = 7, which is then used as normal by RPG Maker.
+ * Amounts don't have to be whole numbers; "boost 1.5" is fine.
+ * 
+ * Besides boost and nerf, there are four other things a rule can do
+ * to the rating, all written in the same way:
+ * set amount when condition: the rating becomes amount.
+ * scale amountx when condition: the rating is multiplied by amount,
+ * e.g. "scale 2x when me.hp low" doubles it, "scale 0.5x" halves it.
+ * forbid when condition: the skill can't be chosen at all.
+ * force when condition: the skill is the only one that can be chosen.
+ * If several skills are forced, one of them is chosen using the
+ * ratings as normal.
+ * 
+ * However they're written, the rules that apply are used in this
+ * order:
+ * 1. set: the rating becomes the amount. If more than one set
+ *    applies, the last one wins.
+ * 2. boost/nerf: all the amounts are added.
+ * 3. scale: the rating is multiplied by every amount.
+ * 4. forbid: the skill is removed from the choices.
+ * 5. force: if any skills are forced, every skill that isn't is
+ *    removed from the choices. A skill that is both forbidden and
+ *    forced is forbidden.
+ * If every skill is forbidden, the enemy does nothing.
+ * 
+ * Remember that RPG Maker only chooses between skills whose rating is
+ * within 3 of the highest rating, so "set" and "scale" can push other
+ * skills out of consideration completely.
  * 
  * TGR (changing which target is selected):
  * 
  * Changing valid targets always has the pattern:
  * target rate only condition
  * The word "target" must always appear.
- * Rate is optional; if not present, it defaults to "2x". This
- * is the amount that tgr is modified by if the condition is true.
+ * Rate is optional; if not present, it is the Target Multiplier
+ * (2 by default) plugin parameter. This is the amount that tgr is
+ * modified by if the condition is true.
  * It can be any number followed by "x" for "times"; e.g. if the
  * rate is "2.5x", then if the condition is true the TGR of the
  * target will be 2.5 times greater than normal. Generally speaking,
@@ -116,7 +413,8 @@
  * and variables cannot be the subject of the condition here. Properties
  * can still be selected, for example the following:
  * target .hp low
- * doubles TGR for targets on low HP for this skill.
+ * multiplies TGR by the Target Multiplier for targets on low HP for
+ * this skill.
  * 
  * There are two special conditions for TGR: lowest and highest.
  * These two will select the lowest/highest from within the valid
@@ -129,21 +427,554 @@
  * The dead enemy will not, because "1 enemy" is only allowed to
  * target living battlers.
  * 
+ * Skills that revive fallen allies choose between the dead ones in
+ * the same way, and skills that can target an ally dead or alive
+ * choose between all of them. A dead battler's TGR counts as 1
+ * before the rules, as RPG Maker chooses between fallen allies evenly.
+ * For example, to revive the boss before its minions:
+ * target only .mhp highest
+ * Skills for the user always target the user, whatever their rules.
+ * If "only" rules leave no valid target, the rules are ignored and the
+ * target is chosen as RPG Maker would choose it.
+ * 
+ * .weakness and .expected damage make it easy to choose targets
+ * sensibly:
+ * target 3x .weakness above 1 // prefer targets weak to this skill
+ * target 5x .expected damage lethal // finish someone off
+ * target .expected damage highest // do as much damage as possible
+ * 
+ * Memory:
+ * 
+ * The plugin remembers what every battler has done during the current
+ * battle, and forgets it all when the battle ends. These properties
+ * can be used on any battler, in both boost/nerf and target conditions:
+ * .used this turn/.used last turn: true if the battler used the skill
+ * being considered during their current or previous turn.
+ * .turns since used: how many turns ago the battler last used the
+ * skill being considered; 0 means this turn. If the battler hasn't
+ * used it at all this battle, this is higher than any number.
+ * .attacked me this turn/.attacked me last turn: true if the battler
+ * used an action on "me" (the battler whose rules these are) during
+ * my current or previous turn. Only actions from the other side
+ * count, so an ally healing me isn't an attack.
+ * .damage taken this turn/.damage taken last turn: the total HP
+ * damage the battler took during their current or previous turn.
+ * Percentages are of the battler's max HP.
+ * For example:
+ * nerf 10 when me.used last turn // don't heal twice in a row
+ * boost 5 when me.turns since used above 3
+ * boost 8 when me.damage taken last turn above 30%
+ * target 4x .attacked me last turn // retaliate
+ * 
+ * A "turn" here is each battler's own turn, so this works in time
+ * progress battles too. In turn-based battles every battler's turn is
+ * the same, and actions are chosen at the start of the turn, before
+ * anyone has acted; so while choosing a skill, nothing has happened
+ * "this turn" yet, and "last turn" is the turn that just finished.
+ * 
+ * Cooldowns and limits:
+ * 
+ * Two more kinds of line can go in a <skill-ai> block, to stop the
+ * skill being used too often:
+ * cooldown turns: after using the skill, the battler can't use it
+ * again for this many turns. "cooldown 2" on a skill used in turn 1
+ * means it can next be used in turn 4.
+ * limit times per battle: the skill can only be used this many times
+ * in a battle.
+ * limit times per turn: the skill can only be used this many times in
+ * one turn, for battlers with more than one action.
+ * While a skill is cooling down or has reached a limit, it's treated
+ * as forbidden. A battler with several actions a turn chooses them all
+ * before using any, so a skill chosen for an earlier action counts as
+ * used: with "limit 1 per turn" or a cooldown, it can only be chosen
+ * for one of them. Every battler keeps track separately, so two Slimes
+ * in the same troop each get their own cooldowns. With a group block
+ * such as <skill-ai magical>, each matching skill has its own cooldown.
+ * 
+ * The turns a skill has left to cool down can be checked in conditions
+ * with the .cooldown property, followed by a skill name or ID:
+ * boost 5 when me.cooldown Fire II above 0 // use Fire I while Fire II recharges
+ * .cooldown is 0 when the skill can be used.
+ * 
+ * Combining conditions:
+ * 
+ * Any condition, for either boost/nerf or target, can be built out of
+ * several smaller conditions joined with "and" and "or", and any of
+ * them can be reversed with "not". Brackets group conditions together;
+ * without brackets, "and" is worked out before "or". For example:
+ * boost 5 when me.hp low and ally is dead
+ * nerf 3 when not (switch 4 is on or variable 2 above 10)
+ * target 3x .hp low and not .state is Poison
+ * In a target condition, conditions that start with "me", "ally",
+ * "enemy", "switch", "variable", "turn", "count", "slot" or "chosen"
+ * work exactly as they do for boost and nerf; everything else is about
+ * the target being considered, e.g.
+ * target only .mp highest and me.hp low
+ * Because "and" and "or" split conditions, a state whose name contains
+ * the word "and" or "or" must be referred to by its ID instead.
+ * 
+ * Anything after "//" on a line is a comment and is ignored.
+ * 
  * Longer example with comments:
  * <skill-ai 4> // affects only skill ID 4 for this enemy
- * boost 2 ally.hp max // we want to choose this more often if everyone on the team is at max health
- * nerf 5 all enemy.state is Protected // don't use this skill if the enemy is protected 
+ * boost 2 when all ally.hp max // we want to choose this more often if everyone on the team is at max health
+ * nerf 5 when all enemy.state is Protected // don't use this skill if the enemy is protected 
  * target 3x .hp low // go for the kill; prefer targetting low-hp enemies
  * </skill-ai>
+ * 
+ * Actors:
+ * 
+ * The same <skill-ai> notetags can be put in the note of an actor, a
+ * class, or a state. They apply to an actor whenever the actor isn't
+ * being controlled by the player: actors with the "Auto Battle" trait,
+ * and actors who are confused or berserk. For an actor, the notetags of
+ * the actor, their current class and every state affecting them are
+ * all used together. "me" and "ally" refer to the actor and the party,
+ * "enemy" to the troop.
+ * 
+ * Auto-battle actors don't use ratings; RPG Maker scores every action
+ * they could take and picks the highest score. The rating rules are
+ * applied to that score instead: boost and nerf amounts are added to
+ * it, set replaces it, scale multiplies it, forbid stops the skill
+ * being chosen, and force makes it beat every skill that isn't forced.
+ * The score is usually between 0 and 2, so even "boost 1" makes a big
+ * difference. If the chosen skill has target
+ * rules, the target is chosen using them, just as it would be for an
+ * enemy, rather than RPG Maker's pick.
+ * 
+ * Confused and berserk battlers (actors or enemies) choose their
+ * target at random; the target rules of the skill they use, usually
+ * Attack, change the odds just like they do for normal targets.
+ * 
+ * States, troops and profiles:
+ * 
+ * <skill-ai> notetags in a state's note apply to any battler, actor or
+ * enemy, while they're affected by the state. A "Taunted" state could
+ * have:
+ * <skill-ai Attack>
+ * target only .state is Taunting
+ * </skill-ai>
+ * 
+ * Troops don't have a note box; instead, write the notetags in Comment
+ * commands on the first page of the troop's battle events. They apply
+ * to every enemy in the troop.
+ * 
+ * Rules that are shared by lots of enemies can be written once as a
+ * profile, in the "AI Profiles" plugin parameter. Give the profile a
+ * name and write its <skill-ai> notetags in its Rules. Then put
+ * <ai-profile name>
+ * in the note of any enemy, actor, class, state or troop (or in another
+ * profile's Rules) to use the profile's rules there.
+ * 
+ * All of the rules that apply to a battler are used together, in this
+ * order:
+ * 1. the enemy, or the actor and then their class
+ * 2. the troop (enemies only)
+ * 3. each state affecting the battler, in RPG Maker's state order
+ * Each profile's rules come just before the rules of the note that
+ * uses it. A profile used more than once is only counted once.
+ * 
+ * Checking rules:
+ * 
+ * All the notetags are checked when the game starts. Any rule that
+ * can't be understood - a typo in a condition, a skill or state name
+ * that doesn't exist, a line that isn't a rule at all - is reported
+ * with the ID and name of the enemy (or actor, class, state, troop or
+ * profile), the skill, the line number within the note box, and the
+ * text of the line. What happens next depends on the "Invalid Rules"
+ * plugin parameter: "warn" prints the problems to the console (press
+ * F8 or F12 in a playtest to see it) and ignores the broken rules,
+ * "error" stops the game with the full list.
+ * 
+ * Threat:
+ * 
+ * Every battler keeps track of how much threat each of its opponents
+ * has built up with it during the battle:
+ * - damage an opponent does to it adds that much threat.
+ * - healing an opponent does to its own side adds that much threat,
+ * with every battler on the other side.
+ * - a state with <ai-taunt amount> in its note adds that much threat,
+ * with every battler on the other side, while it lasts.
+ * .threat is a battler's threat with me, e.g.
+ * target 3x .threat highest
+ * target only .threat above 0 // only fight back
+ * Threat can also be added to every target choice, rules or not, with
+ * the "Threat Weight" plugin parameter or an <ai-threat-weight 2>
+ * notetag on the enemy (or actor). Each target's TGR goes up by the
+ * weight times its share of all the targets' threat, so with a weight
+ * of 2, a target with all of it is 3 times as likely to be chosen.
+ * Enemies that stick with a target can use:
+ * same as last: true for the battler I last used an action on, from
+ * that side. For example:
+ * target only same as last and .hp above 0
+ * target 5x same as last
+ * 
+ * Coordinating the troop:
+ * 
+ * Normally every enemy picks its target on its own, so three goblins
+ * can all go for a hero the first one has already finished off. Turn
+ * on the "Troop Coordination" plugin parameter, or put <ai-coordinate>
+ * in a Comment on the first page of a troop's battle events to do it
+ * for that troop only, and each enemy decides its targets as soon as
+ * it chooses its actions. Enemies choosing after it can then see those
+ * pending actions:
+ * already targeted: true if one of my side's pending actions is aimed
+ * at the battler, e.g. "target not already targeted" to spread out.
+ * .pending damage: the total HP damage my side's pending actions are
+ * expected to do to the battler (negative for healing).
+ * .hp after pending: the battler's HP once those actions are done, e.g.
+ * "target only .hp after pending above 0" to avoid overkill, or
+ * "target 3x .hp after pending lowest" to focus fire.
+ * An action stops being pending when it's used. Damage is worked out as
+ * for .expected damage. Random targets aren't known in advance, so
+ * actions with random scopes don't count, and neither do the actions of
+ * confused enemies. Coordination only works for enemies; actors still
+ * choose on their own.
+ * 
+ * Thresholds:
+ * 
+ * What counts as "low" and "high", and the rate of target rules that
+ * don't give one, are set by plugin parameters:
+ * Low Fraction (1/3 by default): "low" hp or mp is below this much of
+ * the maximum.
+ * High Fraction (2/3 by default): "high" hp or mp is above this much.
+ * Low Number (3 by default) and High Number (5 by default): the same,
+ * for values that don't have a maximum.
+ * Target Multiplier (2 by default): the rate of "target" rules with
+ * no rate or "only".
+ * Fractions can be written as 1/4, 0.25 or 25%. An enemy (or actor)
+ * can have its own settings, which apply to all of its rules, with
+ * notetags in its own note (not a class, state, troop or profile)
+ * named after the parameters:
+ * <ai-low-fraction 1/4>
+ * <ai-high-fraction 3/4>
+ * <ai-low-number 2>
+ * <ai-high-number 8>
+ * <ai-target-multiplier 3>
+ * Threat Weight (0 by default) and <ai-threat-weight> are explained
+ * under "Threat" above.
+ * 
+ * Changing rules during battle:
+ * 
+ * A boss that changes tactics part-way through a fight can have its
+ * rules changed by plugin commands in the troop's battle events:
+ * Add Rule: adds a rule for a skill, written as in a <skill-ai> block.
+ * Rules added this way apply after all the others.
+ * Remove Rule: stops a rule applying, whether it was in a note or
+ * profile or was added with Add Rule. The skill must be written just
+ * as it is in the <skill-ai> header the rule is under.
+ * Set Profile: uses different profiles instead of the ones named in
+ * the enemy's note; leave the profile blank to go back to those.
+ * Disable AI Rules/Enable AI Rules: while disabled, the enemy acts as
+ * if this plugin wasn't installed.
+ * Clear Changes: undoes all of the above.
+ * Each command affects one enemy of the troop, or all of them.
+ * Changes last as long as the enemy does, so until the end of battle.
+ * 
+ * In RPG Maker MV, use Plugin Command instead, with the enemy's
+ * position in the troop (0 for all) and the skill in angle brackets:
+ * AiAdjustment addRule 1 <Fire I> boost 5 when me.hp low
+ * AiAdjustment removeRule 1 <Fire I> boost 5 when me.hp low
+ * AiAdjustment setProfile 1 Enraged
+ * AiAdjustment disable 1
+ * AiAdjustment enable 1
+ * AiAdjustment clear 0
+ * 
+ * The same can be done from a script, for enemies or actors, e.g.
+ * $gameTroop.members()[0].addAiRule("Fire I", "boost 5 when me.hp low");
+ * with removeAiRule(skill, rule), setAiProfile(names), setAiEnabled(
+ * true or false) and clearAiOverrides(). Changes made to actors are
+ * saved with the game.
+ * 
+ * Repeatable battles:
+ * 
+ * Choosing between actions by rating, and between targets by tgr, is
+ * random. Set the "Random Seed" plugin parameter to any number and
+ * those choices come out the same every time a battle is fought with
+ * the same commands, which makes a problem battle easy to reproduce.
+ * The seed can also be changed with a Script command:
+ * LWP_AiAdjustment.setRandomSeed(1234);
+ * and turned off again with:
+ * LWP_AiAdjustment.setRandomSeed(null);
+ * Only the plugin's own choices use the seed; hit chance, damage
+ * variance and so on are still random.
+ * 
+ * Debug log:
+ * 
+ * To see why an enemy did what it did, set the "Debug Log" plugin
+ * parameter and open the console (F8 or F12 in a playtest). "summary"
+ * logs a line each time an enemy chooses from its actions, showing each
+ * action's rating before and after the rules, and each time a target is
+ * chosen using target rules, showing each target's tgr before and after.
+ * "verbose" also lists every rule that was used, and which targets each
+ * target rule matched. To follow only some enemies, put their IDs in
+ * "Debug Enemies". The log can also be changed with a Script command:
+ * LWP_AiAdjustment.setDebugLog("verbose", [3, 12]);
+ * 
+ * AI report:
+ * 
+ * To review the AI of every enemy at once, or keep track of changes to
+ * it in version control, save an AI report. In a playtest, use the
+ * "Save AI Report" plugin command (in MV: AiAdjustment aiReport, or
+ * AiAdjustment aiReport json), or a Script command:
+ * LWP_AiAdjustment.saveAiReport("markdown");
+ * This saves ai-report.md (or ai-report.json, with "json") in the game
+ * folder. For each enemy it lists its profiles, its own settings, and
+ * each of its action patterns with the base rating and every rule that
+ * applies to the skill, written out in the same way however it was
+ * written in the note. Warnings list the enemy's (and its profiles')
+ * rules that couldn't be understood, and <skill-ai> blocks that none of
+ * its actions use. Rules from troops and states aren't included, as
+ * they depend on the battle. LWP_AiAdjustment.aiReport("json") returns
+ * the report instead of saving it.
+ * 
+ * For plugin developers:
+ * 
+ * Other plugins can add their own properties and comparisons, which
+ * then work in every kind of rule like the built-in ones. Register
+ * them when your plugin loads (rules are read when the database loads,
+ * and anything registered later is too late for them), with this
+ * plugin above yours in the plugin list:
+ * LWP_AiAdjustment.registerProperty(name, getter, maxGetter)
+ * getter(battler, context) returns the property's value for a battler,
+ * and the optional maxGetter(battler, context) its maximum, which is
+ * what "low", "high", "max" and percentages compare against. context.self
+ * is the battler whose rule is being checked and context.action the
+ * Game_Action being considered. For example:
+ * LWP_AiAdjustment.registerProperty("stagger",
+ *     battler => battler.stagger(), battler => battler.maxStagger());
+ * lets rules say "target 3x .stagger above 80%".
+ * LWP_AiAdjustment.registerComparison(name, test)
+ * test(value, max, operand, battler, context) returns whether the
+ * comparison holds. The operand is whatever is written after the name,
+ * worked out as it would be for "above", or undefined if there's
+ * nothing. For example:
+ * LWP_AiAdjustment.registerComparison("within",
+ *     (value, max, operand) => Math.abs(value) <= operand);
+ * lets rules say "target .distance within 2".
+ * Names can have several words, and can't be those of the built-in
+ * properties and comparisons.
+ * 
+ * Inspector:
+ * 
+ * In a playtest battle, press F7 (or the "Inspector Key") to show or
+ * hide the AI inspector. It shows the enemy that is acting - or the
+ * last battler to choose, between actions - with each of its actions'
+ * ratings before and after the rules and the rules that changed them,
+ * then every target it considered with their tgr before and after and
+ * whether each target rule matched them. An enemy with several actions
+ * a turn has its ratings shown for each of them. The inspector isn't
+ * available outside of playtests.
+ */
+
+/*~struct~AiProfile:
+ * @param Name
+ * @desc The name used to refer to this profile, as in <ai-profile Name>.
+ * 
+ * @param Rules
+ * @type note
+ * @desc <skill-ai> notetags, written exactly as they would be in an
+ * enemy's note.
  */
 
+var LWP_AiAdjustment = LWP_AiAdjustment || {};
+
 (function() {
 
+	const pluginParameters = PluginManager.parameters("LWP_AiAdjustment");
+	const invalidRuleHandling = (pluginParameters["Invalid Rules"] || "warn").toLowerCase();
+
+	// Profiles are shaped like database objects (null first, then id, name
+	// and note) so their notes are processed the same way.
+	const aiProfiles = [null].concat(
+		JSON.parse(pluginParameters["AI Profiles"] || "[]").map((json, i) => {
+			let profile = JSON.parse(json);
+			return {id: i + 1, name: (profile.Name || "").trim(), note: JSON.parse(profile.Rules || "\"\"")};
+		})
+	);
+
+	// Thresholds for "low" and "high", and the tgr multiplier of target
+	// rules that don't give one. Each can be set for the whole game by a
+	// plugin parameter, or for one enemy or actor by a notetag such as
+	// <ai-low-fraction 1/4>. The defaults are copied from the parameters'
+	// @default by tools/update-defaults.js.
+	const aiSettingDefinitions = [
+		{key: "lowFraction", parameter: "Low Fraction", notetag: "ai-low-fraction", defaultValue: "1/3"},
+		{key: "highFraction", parameter: "High Fraction", notetag: "ai-high-fraction", defaultValue: "2/3"},
+		{key: "lowNumber", parameter: "Low Number", notetag: "ai-low-number", defaultValue: "3"},
+		{key: "highNumber", parameter: "High Number", notetag: "ai-high-number", defaultValue: "5"},
+		{key: "targetMultiplier", parameter: "Target Multiplier", notetag: "ai-target-multiplier", defaultValue: "2"},
+		{key: "threatWeight", parameter: "Threat Weight", notetag: "ai-threat-weight", defaultValue: "0"},
+	];
+
+	// A number, a fraction such as 1/3, or a percentage such as 25%; NaN if
+	// it's none of those.
+	function parseSettingValue(text) {
+		let match = /^\s*(\d*\.?\d+)\s*(?:\/\s*(\d*\.?\d+)|(%))?\s*$/.exec(text);
+		if (!match) return NaN;
+		let value = parseFloat(match[1]);
+		return match[2] ? value / parseFloat(match[2]) : match[3] ? value / 100 : value;
+	}
+
+	const defaultAiSettings = {};
+	for (const {key, parameter, defaultValue} of aiSettingDefinitions) {
+		let value = parseSettingValue(pluginParameters[parameter] || defaultValue);
+		if (isNaN(value)) {
+			console.warn("LWP_AiAdjustment: \"" + parameter + "\" must be a number, fraction or percentage; using " + defaultValue);
+			value = parseSettingValue(defaultValue);
+		}
+		defaultAiSettings[key] = value;
+	}
+
+	// Random numbers for choosing actions and targets. With a seed the
+	// same sequence is used again at the start of every battle, so a
+	// battle plays out the same way each time it's fought.
+	let randomSeed = null;
+	let random = Math.random;
+
+	// mulberry32: small, fast, and good enough for picking targets.
+	function seededRandom(seed) {
+		let state = seed >>> 0;
+		return function() {
+			state = (state + 0x6D2B79F5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	}
+
+	// Sets the seed and starts its sequence again; null goes back to
+	// Math.random.
+	LWP_AiAdjustment.setRandomSeed = function(seed) {
+		randomSeed = (seed === null || seed === undefined || seed === "") ? null : Number(seed);
+		random = randomSeed === null ? Math.random : seededRandom(randomSeed);
+	};
+
+	// Replaces the random number source outright with a function returning
+	// numbers from 0 up to (not including) 1.
+	LWP_AiAdjustment.setRandom = function(randomFunction) {
+		randomSeed = null;
+		random = randomFunction || Math.random;
+	};
+
+	LWP_AiAdjustment.random = function() {
+		return random();
+	};
+
+	LWP_AiAdjustment.setRandomSeed(pluginParameters["Random Seed"]);
+
+	// Called as each battle starts.
+	function restartRandomSequence() {
+		if (randomSeed !== null) {
+			random = seededRandom(randomSeed);
+		}
+	}
+
+	// Without a seed or a replacement random source, choices the rules
+	// don't affect are left to RPG Maker (and any plugin that changes them).
+	function isEngineRandom() {
+		return random === Math.random;
+	}
+
+	// Picks one of the entries with chance in proportion to its weight;
+	// null if there is nothing with any weight.
+	function weightedRandom(entries, weightOf) {
+		let total = entries.reduce((sum, entry) => sum + Math.max(weightOf(entry), 0), 0);
+		if (!(total > 0)) {
+			return null;
+		}
+		let value = random() * total;
+		let chosen = null;
+		entries.forEach(entry => {
+			let weight = Math.max(weightOf(entry), 0);
+			value -= weight;
+			if (value < 0 && !chosen && weight > 0) {
+				chosen = entry;
+			}
+		});
+		// Rounding can leave a sliver at the end; give it to the last entry
+		// with any weight.
+		return chosen || entries.filter(entry => weightOf(entry) > 0).pop();
+	}
+
+	// Debug logging: "summary" logs one line for each choice of actions or
+	// targets, "verbose" adds the rules that fired and the details of the
+	// choice as an object. Can be limited to some enemy IDs.
+	const debugLevels = ["off", "summary", "verbose"];
+	let debugLevel = 0;
+	let debugEnemyIds = [];
+
+	LWP_AiAdjustment.setDebugLog = function(level, enemyIds) {
+		debugLevel = Math.max(debugLevels.indexOf(String(level || "off").trim().toLowerCase()), 0);
+		debugEnemyIds = String([].concat(enemyIds || []))
+			.split(/[\s,]+/)
+			.filter(id => id !== "")
+			.map(Number);
+	};
+
+	LWP_AiAdjustment.setDebugLog(pluginParameters["Debug Log"], pluginParameters["Debug Enemies"]);
+
+	function isDebugLogged(battler) {
+		if (debugLevel === 0) return false;
+		if (debugEnemyIds.length === 0) return true;
+		return battler.isEnemy() && debugEnemyIds.includes(battler.enemyId());
+	}
+
+	function describeBattler(battler) {
+		return battler.isEnemy() ? battler.name() + " (enemy " + battler.enemyId() + ")" : battler.name();
+	}
+
+	function describeSkill(skillId) {
+		let skill = $dataSkills[skillId];
+		return skill ? skill.name || "skill " + skillId : "skill " + skillId;
+	}
+
+	// In a playtest, the latest choices of each battler are kept for the
+	// inspector window: their actions, and the targets chosen since. An
+	// enemy with several actions a turn chooses each in turn; choosing the
+	// first starts a new decision.
+	function isDecisionRecorded() {
+		return !!$gameTemp && $gameTemp.isPlaytest();
+	}
+
+	function recordDecision(battler, kind, details) {
+		if (!isDecisionRecorded()) return;
+		let decision = battleMemory.decisions.get(battler);
+		if (!decision || (kind === "actions" && !details.slot)) {
+			decision = {actions: [], targets: []};
+			battleMemory.decisions.set(battler, decision);
+		}
+		if (kind === "actions") {
+			decision.actions.push(details);
+		} else {
+			decision.targets.push(details);
+		}
+		battleMemory.lastDecider = battler;
+		decisionsVersion++;
+	}
+
+	// summary is a line of text; detailLines is a function returning extra
+	// lines, only called when verbose, when they are logged along with the
+	// details object.
+	function debugLog(battler, summary, detailLines, details) {
+		if (!isDebugLogged(battler)) return;
+		if (debugLevel >= 2) {
+			console.log(["[AI] " + summary].concat(detailLines()).join("\n"), details);
+		} else {
+			console.log("[AI] " + summary);
+		}
+	}
+
+	// isDatabaseLoaded is polled repeatedly while booting; only compile the
+	// notetags the first time each set of database objects is seen.
+	let processedEnemies = null;
 	const oldDataManager_isDatabaseLoaded = DataManager.isDatabaseLoaded;
     DataManager.isDatabaseLoaded = function() {
 		let loaded = oldDataManager_isDatabaseLoaded.call(this);
-		if (loaded) {
-			processEnemyNotetags($dataEnemies);
+		if (loaded && processedEnemies !== $dataEnemies) {
+			processAllNotetags();
+			processedEnemies = $dataEnemies;
 		}
 		return loaded;
     };
@@ -168,166 +999,799 @@
 		return matchingStates[0].id;
 	}
 
-	function getEasySkillModifiers(note) {
-		const easySkillModifiers = {};
+	function lineNumberAt(text, index) {
+		return text.substring(0, index).split(/\r?\n/).length;
+	}
+
+	function findNameInList(names, name, kind) {
+		let index = names.findIndex(
+			(candidate, i) => i > 0 && candidate && candidate.toLowerCase() === name.toLowerCase()
+		);
+		if (index < 0) {
+			throw new Error("Could not find " + kind + " " + name);
+		}
+		return index;
+	}
+
+	const damageTypes = {
+		"hp damage": 1, "damage": 1,
+		"mp damage": 2,
+		"hp recover": 3, "heal": 3,
+		"mp recover": 4,
+		"hp drain": 5, "drain": 5,
+		"mp drain": 6,
+	};
+	const hitTypes = {"certain hit": 0, "physical": 1, "magical": 2};
+
+	// Turns the text of a <skill-ai> header into a test of whether a skill,
+	// used by a particular battler, is covered by the block.
+	function compileSkillSelector(text) {
+		let selector = text.trim().replace(/\s+/g, " ");
+		let lowerCase = selector.toLowerCase();
+		let match;
+		if (selector === "*") {
+			return () => true;
+		}
+		if (/^\d+$/.test(selector)) {
+			let skillId = parseInt(selector);
+			if (!$dataSkills[skillId]) {
+				throw new Error("Could not find skill " + skillId);
+			}
+			return (skill) => skill.id === skillId;
+		}
+		if ((match = /^stype (.+)$/i.exec(selector))) {
+			let stypeId = /^\d+$/.test(match[1]) ? parseInt(match[1]) :
+				findNameInList($dataSystem.skillTypes, match[1], "skill type");
+			return (skill) => skill.stypeId === stypeId;
+		}
+		if ((match = /^element (.+)$/i.exec(selector))) {
+			let elementId = /^\d+$/.test(match[1]) ? parseInt(match[1]) :
+				findNameInList($dataSystem.elements, match[1], "element");
+			return (skill, battler) => skill.damage.elementId === elementId ||
+				(skill.damage.elementId === -1 && battler.attackElements().includes(elementId));
+		}
+		if (lowerCase === "attack") {
+			return (skill, battler) => skill.id === battler.attackSkillId();
+		}
+		if (lowerCase === "guard") {
+			return (skill, battler) => skill.id === battler.guardSkillId();
+		}
+		// A skill's exact name wins over the hit and damage type words,
+		// which can always be given with "hit" or "type" in front.
+		let named = $dataSkills.find(skill => skill && skill.name.toLowerCase() === lowerCase);
+		if (named) {
+			return (skill) => skill.id === named.id;
+		}
+		let typeName = lowerCase.replace(/^(hit|type) /, "");
+		if (typeName in hitTypes && !/^type /.test(lowerCase)) {
+			let hitType = hitTypes[typeName];
+			return (skill) => skill.hitType === hitType;
+		}
+		if (typeName in damageTypes && !/^hit /.test(lowerCase)) {
+			let damageType = damageTypes[typeName];
+			return (skill) => skill.damage.type === damageType;
+		}
+		let skillId = findSkillByName(selector);
+		return (skill) => skill.id === skillId;
+	}
+
+	function getEasySkillModifiers(note, reportProblem) {
+		const easySkillModifiers = [];
 		const notedata = note;
-		const re = /<skill-ai\s+(?:(\d+)|([^>]+))\s*>(.*?)<\/skill-ai>/gms;
+		const re = /<skill-ai\s+([^>]+)>(.*?)<\/skill-ai>/gms;
 		let match = re.exec(notedata);
 		while (match) {
-			let skillId = (match[1] && parseInt(match[1])) || findSkillByName(match[2]);
-			let script = match[3].split(/[\n\r]+/).filter(a => !/^\s*$/.test(a));
-			if (easySkillModifiers[skillId]) {
-				easySkillModifiers[skillId] = easySkillModifiers[skillId].concat(script);
-			} else {
-				easySkillModifiers[skillId] = script;
+			let header = match[1].trim();
+			let selector;
+			try {
+				selector = compileSkillSelector(header);
+			} catch (e) {
+				reportProblem({skill: header, line: lineNumberAt(notedata, match.index), text: match[0].split(/\r?\n/)[0], message: e.message});
+				match = re.exec(notedata);
+				continue;
 			}
+			let firstLine = lineNumberAt(notedata, match.index + match[0].indexOf(">") + 1);
+			let script = match[2].split(/\r?\n/).map((text, i) => ({
+				line: firstLine + i,
+				text: text.replace(/\/\/.*$/, ""),
+			})).filter(a => !/^\s*$/.test(a.text));
+			let compiled = compileEasyModifiers(script, problem => {
+				reportProblem(Object.assign({skill: header}, problem));
+			});
+			easySkillModifiers.push(Object.assign({header, selector}, compiled));
 			match = re.exec(notedata);
 		}
 		return easySkillModifiers;
 	}
 
-    function processEnemyNotetags(enemies) {
-        for (var i = 1; i < enemies.length; i++) {
-            var enemy = enemies[i];
-            if (enemy.note) {
-				enemy.easySkillModifiers = getEasySkillModifiers(enemy.note);
-            }
-        };
+	function findAiProfile(name) {
+		return aiProfiles.find(profile => profile && profile.name.toLowerCase() === name.trim().toLowerCase());
 	}
 
-	function easyModifierActorPropertyProcessor(prop) {
-		return (actor) => {
-			if (!prop || /^\s*$/.test(prop)) return [actor, undefined];
-			switch (prop) {
-				case 'hp': return [actor.hp, actor.mhp];
-				case 'mp': return [actor.mp, actor.mmp];
-				case 'state': let states = [actor.states().map(s => s.id), undefined]; return states;
-				default: return [actor[prop], undefined];
+	function getAiProfiles(note, reportProblem) {
+		const profiles = [];
+		const re = /<ai-profile\s+([^>]+)>/gi;
+		let match = re.exec(note);
+		while (match) {
+			let name = match[1].trim();
+			let profile = findAiProfile(name);
+			if (profile) {
+				profiles.push(profile);
+			} else {
+				reportProblem({line: lineNumberAt(note, match.index), text: match[0], message: "Could not find AI profile " + name});
 			}
+			match = re.exec(note);
 		}
+		return profiles;
 	}
 
-	function easyModifiersLhs(self, expression) {
-		const actorExpression = /\s*(?:(all)\s+)?(ally|enemy|me)(?:\.(hp|mp|state|[a-zA-Z]+))(?:\s+(.*))?/;
-		let evaluator;
-		let rhs;
-		let actorMatch = actorExpression.exec(expression);
-		if (actorMatch) {
-			let all = /all/i.test(actorMatch[1]);
-			let actorType = actorMatch[2];
-			let actorProperty = actorMatch[3];
-			let propertyAccessor = easyModifierActorPropertyProcessor(actorProperty);
-			rhs = actorMatch[4];
-			evaluator = (rhsEvaluator) => {
-				let actors = [];
-				if (/^my|me$/i.test(actorType)) {
-					actors = [self];
-				} else if (/ally/i.test(actorType)) {
-					actors = self.friendsUnit().members();
-				} else {
-					actors = self.opponentsUnit().members();
-				}
-				let [min, max] = actors.reduce((incoming, actor) => {
-					let props = propertyAccessor(actor);
-					let min = incoming[0] === null ? props[0] : Math.min(props[0], incoming[0]);
-					let max = incoming[0] === null ? props[0] : Math.max(props[0], incoming[0]);
-					return [min, max];
-				}, [null, null]);
-				if (all) {
-					return actors.every(actor => {
-						let [value, maxValue] = propertyAccessor(actor);
-						return rhsEvaluator(value, maxValue, min, max);
-					});
-				} else {
-					return actors.some(actor => {
-						let [value, maxValue] = propertyAccessor(actor);
-						return rhsEvaluator(value, maxValue, min, max);
-					});
-				}
+	// The settings from a note's <ai-...> notetags, on top of the plugin
+	// parameters; null if the note doesn't change any.
+	// Settings only apply to the enemy or actor whose note they're in, so
+	// anywhere else (allowed is false) they are reported.
+	function getAiSettings(note, reportProblem, allowed) {
+		let settings = null;
+		for (const {key, notetag} of aiSettingDefinitions) {
+			let match = new RegExp("<" + notetag + "\\s+([^>]*)>", "i").exec(note);
+			if (!match) continue;
+			if (!allowed) {
+				reportProblem({line: lineNumberAt(note, match.index), text: match[0], message: "AI settings only work in enemy and actor notes"});
+				continue;
 			}
-		}
-		const switchExpression = /switch\s+(\d+)\s+(.*)/;
-		let switchMatch = switchExpression.exec(expression);
-		if (switchMatch) {
-			let switchId = parseInt(switchMatch[1]);
-			rhs = switchMatch[2];
-			evaluator = (rhsEvaluator) => {
-				let value = $gameSwitches.value(switchId);
-				return rhsEvaluator(value);
+			let value = parseSettingValue(match[1]);
+			if (isNaN(value)) {
+				reportProblem({line: lineNumberAt(note, match.index), text: match[0], message: "Not a number, fraction or percentage"});
+				continue;
 			}
+			settings = settings || Object.assign({}, defaultAiSettings);
+			settings[key] = value;
 		}
-		const variableExpression = /variable\s+(\d+)\s+(.*)/;
-		let variableMatch = variableExpression.exec(expression);
-		if (variableMatch) {
-			let variableId = parseInt(variableMatch[1]);
-			rhs = variableMatch[2];
-			evaluator = (rhsEvaluator) => {
-				let value = $gameVariables.value(variableId);
-			}
-			return rhsEvaluator(value);
+		return settings;
+	}
+
+	// Troops don't have a note box, so their notetags are written in
+	// comments on the first page of the troop's battle events.
+	function troopNote(troop) {
+		return troop.pages[0].list
+			.filter(command => command.code === 108 || command.code === 408)
+			.map(command => command.parameters[0])
+			.join("\n");
+	}
+
+	// Every problem found in the notetags, kept for the AI report.
+	let notetagProblems = [];
+
+	function processAllNotetags() {
+		const problems = [];
+		notetagProblems = problems;
+		processNotetags(aiProfiles, "Profile", problems);
+		processNotetags($dataEnemies, "Enemy", problems);
+		processNotetags($dataActors, "Actor", problems);
+		processNotetags($dataClasses, "Class", problems);
+		processNotetags($dataStates, "State", problems);
+		processNotetags($dataTroops, "Troop", problems, troopNote);
+		reportInvalidRules(problems);
+	}
+
+    function processNotetags(objects, kind, problems, noteOf = object => object.note) {
+        for (var i = 1; i < objects.length; i++) {
+            var object = objects[i];
+            let note = object && noteOf(object);
+            if (note) {
+				const reportProblem = problem => {
+					problems.push(Object.assign({source: kind + " " + object.id + " (" + object.name + ")", object}, problem));
+				};
+				object.easySkillModifiers = getEasySkillModifiers(note, reportProblem);
+				object.aiProfiles = getAiProfiles(note, reportProblem);
+				object.aiSettings = getAiSettings(note, reportProblem, kind === "Enemy" || kind === "Actor");
+            }
+        };
+	}
+
+	function formatInvalidRule(problem) {
+		let location = problem.source;
+		if (problem.skill !== undefined) {
+			let skill = $dataSkills[problem.skill];
+			location += ", skill " + (skill ? problem.skill + " (" + skill.name + ")" : problem.skill);
 		}
+		return location + ", line " + problem.line +
+			": \"" + problem.text.trim() + "\" - " + problem.message;
+	}
 
-		return {evaluator, rhs};
+	// Invalid rules have already been left out of the compiled modifiers, so
+	// "warn" only needs to tell the designer about them.
+	function reportInvalidRules(problems) {
+		if (problems.length === 0) return;
+		let messages = problems.map(formatInvalidRule);
+		if (invalidRuleHandling === "error") {
+			throw new Error("LWP_AiAdjustment: invalid skill-ai rules:\n" + messages.join("\n"));
+		}
+		for (const message of messages) {
+			console.warn("LWP_AiAdjustment: " + message);
+		}
 	}
 
-	function easyModifiersRhs(rhs) {
-		if (!rhs || rhs.replace(/^\s+|\s+$/g, '') === '') {
-			return (value) => {
-				return !!value;
-			};
+	// The damage the action would do to the target, without random
+	// variance or a critical hit. Everything else (element rates, guarding,
+	// other plugins' changes to the damage) is left to makeDamageValue.
+	function expectedDamage(action, target) {
+		action.applyVariance = (damage) => damage;
+		try {
+			return action.makeDamageValue(target, false);
+		} finally {
+			delete action.applyVariance;
 		}
-		const rhsExpression = /^\s*(zero|lowest|highest|low|high|max)|(below|equals?|not equals?|above)\s+(?:(\d+)|(\d+)%|variable\s+(\d+))\s*$/;
-		let rhsMatch = rhsExpression.exec(rhs);
-		if (rhsMatch) {
-			let namedCategory = rhsMatch[1]; // only valid if a valid MAX value is also available, eg. hp/mhp
-			if (namedCategory) {
-				return (value, valueMax, groupMin, groupMax) => {
-					switch (namedCategory) {
-						case 'zero': return value === 0;
-						case 'low': return valueMax ? value < valueMax / 3 : value < 3;
-						case 'high': return valueMax ? value > 2 * valueMax / 3 : value > 5;
-						case 'max': return value === valueMax;
-						case 'lowest': return value === groupMin;
-						case 'highest': return value === groupMax;
-					}
-				}
-			}
-			let inequality = rhsMatch[2].toLowerCase().replace(/s$/,'');
-			let comparator;
-			switch (inequality) {
-				case 'below': comparator = (a, b) => a < b; break;
-				case 'equal': comparator = (a, b) => a == b; break;
-				case 'not equal': comparator = (a, b) => a != b; break;
-				case 'above': comparator = (a, b) => a > b; break;
-			}
-			let constantNumber = rhsMatch[3];
-			if (constantNumber) {
-				const parsedNumber = parseInt(constantNumber);
-				return (value) => {
-					return comparator(value, parsedNumber);
-				}
-			}
-			let percentage = rhsMatch[4]; // only valid if a valid MAX value is also available, eg. hp/mhp
-			if (percentage) {
-				const parsedPercentage = parseInt(percentage) / 100;
-				return (value, valueMax) => {
-					return comparator(value / valueMax, parsedPercentage);
-				}
-			}
-			let variableId = rhsMatch[5];
-			if (variableId) {
-				return (value) => {
-					let variableValue = $gameVariables.value(parseInt(variableId));
-					return comparator(value, variableValue);
-				}
-			}
+	}
+
+	// What has happened so far in the current battle. Each battler counts
+	// their own turns (so this also works in time progress battles), and
+	// everything is recorded against the turn of the battler it happened
+	// to: a use against its user's turn, a hit against its target's turn.
+	let battleMemory = null;
+	// Counts changes to the recorded decisions, so the inspector knows when
+	// to redraw.
+	let decisionsVersion = 0;
+
+	function resetBattleMemory() {
+		battleMemory = {turns: new Map(), uses: [], hits: [], pending: [], decisions: new Map(), lastDecider: null};
+		decisionsVersion++;
+	}
+	resetBattleMemory();
+
+	function memoryTurn(battler) {
+		return battleMemory.turns.get(battler) || 0;
+	}
+
+	const oldBattleManager_setup = BattleManager.setup;
+	BattleManager.setup = function() {
+		resetBattleMemory();
+		restartRandomSequence();
+		return oldBattleManager_setup.apply(this, arguments);
+	};
+
+	const oldBattleManager_endBattle = BattleManager.endBattle;
+	BattleManager.endBattle = function() {
+		resetBattleMemory();
+		return oldBattleManager_endBattle.apply(this, arguments);
+	};
+
+	const oldGame_Battler_onTurnEnd = Game_Battler.prototype.onTurnEnd;
+	Game_Battler.prototype.onTurnEnd = function() {
+		oldGame_Battler_onTurnEnd.call(this);
+		if ($gameParty.inBattle()) {
+			battleMemory.turns.set(this, memoryTurn(this) + 1);
 		}
-		const rhsSetExpression = /^\s*is(\s+not)?\s+(?:(\d+)|(on|off)|(.*))\s*$/;
-		let rhsSetMatch = rhsSetExpression.exec(rhs);
-		if (rhsSetMatch) {
-			let not = /not/i.test(rhsSetMatch[1]);
-			let stateId = rhsSetMatch[2];
-			if (stateId) {
+	};
+
+	const oldGame_Battler_useItem = Game_Battler.prototype.useItem;
+	Game_Battler.prototype.useItem = function(item) {
+		oldGame_Battler_useItem.call(this, item);
+		if ($gameParty.inBattle() && DataManager.isSkill(item)) {
+			battleMemory.uses.push({subject: this, skillId: item.id, turn: memoryTurn(this)});
+		}
+	};
+
+	const oldGame_Action_apply = Game_Action.prototype.apply;
+	Game_Action.prototype.apply = function(target) {
+		oldGame_Action_apply.call(this, target);
+		if ($gameParty.inBattle()) {
+			let subject = this.subject();
+			battleMemory.hits.push({
+				subject,
+				target,
+				hostile: subject.isActor() !== target.isActor(),
+				hpDamage: target.result().hpDamage,
+				turn: memoryTurn(target),
+			});
+		}
+	};
+
+	function usesOf(battler, skillId) {
+		return battleMemory.uses.filter(use => use.subject === battler && use.skillId === skillId);
+	}
+
+	function attackedIn(attacker, target, turn) {
+		return battleMemory.hits.some(hit => hit.subject === attacker &&
+			hit.target === target && hit.hostile && hit.turn === turn);
+	}
+
+	function damageTakenIn(battler, turn) {
+		return battleMemory.hits
+			.filter(hit => hit.target === battler && hit.turn === turn && hit.hpDamage > 0)
+			.reduce((total, hit) => total + hit.hpDamage, 0);
+	}
+
+	// Threat: how much each opponent has earned a battler's attention this
+	// battle, worked out from battle memory. An opponent gains threat with
+	// a battler by damaging it, and with every one of its opponents by
+	// healing its own side; a state with <ai-taunt amount> adds that much
+	// to the threat of whoever has it, for as long as it lasts.
+	function threatOf(holder, opponent) {
+		if (opponent.isActor() === holder.isActor()) return 0;
+		let threat = battleMemory.hits.reduce((total, hit) => {
+			if (hit.subject !== opponent) return total;
+			if (hit.target === holder && hit.hpDamage > 0) return total + hit.hpDamage;
+			if (hit.target.isActor() === opponent.isActor() && hit.hpDamage < 0) return total - hit.hpDamage;
+			return total;
+		}, 0);
+		return opponent.states().reduce((total, state) => total + tauntThreat(state), threat);
+	}
+
+	function tauntThreat(state) {
+		let match = /<ai-taunt\s+(\d*\.?\d+)\s*>/i.exec(state.note || "");
+		return match ? parseFloat(match[1]) : 0;
+	}
+
+	// The last battler on side's side that subject used an action on; null
+	// if there isn't one.
+	function lastTargetOf(subject, side) {
+		for (let i = battleMemory.hits.length - 1; i >= 0; i--) {
+			let hit = battleMemory.hits[i];
+			if (hit.subject === subject && hit.target.isActor() === side.isActor()) {
+				return hit.target;
+			}
+		}
+		return null;
+	}
+
+	// When the troop coordinates, enemies decide their targets as soon as
+	// they choose their actions. Those actions are pending until they're
+	// used (or dropped), so enemies choosing later can see who is already
+	// being dealt with and how much damage or healing is on its way.
+	const troopCoordination = pluginParameters["Troop Coordination"] === "true";
+	const hpDamageTypes = [1, 3, 5];
+
+	function isTroopCoordinated() {
+		let troop = $gameTroop.troop();
+		return troopCoordination || (!!troop && /<ai-coordinate>/i.test(troopNote(troop)));
+	}
+
+	// Pending actions against the target by the side self is on.
+	function pendingActionsAgainst(target, self) {
+		return battleMemory.pending.filter(entry => entry.target === target && entry.subject.isEnemy() === self.isEnemy());
+	}
+
+	function pendingHpDamage(target, self) {
+		return pendingActionsAgainst(target, self).reduce((total, entry) => total + entry.hpDamage, 0);
+	}
+
+	function forgetPendingActions(test) {
+		battleMemory.pending = battleMemory.pending.filter(entry => !test(entry));
+	}
+
+	const oldGame_Battler_clearActions = Game_Battler.prototype.clearActions;
+	Game_Battler.prototype.clearActions = function() {
+		oldGame_Battler_clearActions.call(this);
+		forgetPendingActions(entry => entry.subject === this);
+	};
+
+	const oldGame_Battler_removeCurrentAction = Game_Battler.prototype.removeCurrentAction;
+	Game_Battler.prototype.removeCurrentAction = function() {
+		let action = this.currentAction();
+		forgetPendingActions(entry => entry.action === action);
+		oldGame_Battler_removeCurrentAction.call(this);
+	};
+
+	// Reads an ID, or the longest name in the list, from the start of text.
+	// Returns [id, length of text used].
+	function leadingIdOrName(text, names, kind) {
+		let idMatch = /^\d+(?!\S)/.exec(text);
+		if (idMatch) return [parseInt(idMatch[0]), idMatch[0].length];
+		let lowerCase = text.toLowerCase();
+		let found = -1;
+		names.forEach((name, id) => {
+			if (id > 0 && name && lowerCase.startsWith(name.toLowerCase()) &&
+				!/\S/.test(text.charAt(name.length)) &&
+				(found < 0 || name.length > names[found].length)) {
+				found = id;
+			}
+		});
+		if (found < 0) {
+			throw new Error("Could not find " + kind + " at \"" + text.trim() + "\"");
+		}
+		return [found, names[found].length];
+	}
+
+	const parameterNames = ["mhp", "mmp", "atk", "def", "mat", "mdf", "agi", "luk"];
+
+	// Arguments that some special properties take, e.g. the "atk" of
+	// ".buff atk".
+	const propertyArguments = {
+		parameter: (text) => {
+			let match = /^[a-z]+/i.exec(text);
+			let paramId = match ? parameterNames.indexOf(match[0].toLowerCase()) : -1;
+			if (paramId < 0) {
+				throw new Error("Expected one of " + parameterNames.join(", ") + " at \"" + text.trim() + "\"");
+			}
+			return [paramId, match[0].length];
+		},
+		element: (text) => leadingIdOrName(text, $dataSystem.elements, "element"),
+		state: (text) => leadingIdOrName(text, $dataStates.map(state => state && state.name), "state"),
+		skill: (text) => leadingIdOrName(text, $dataSkills.map(skill => skill && skill.name), "skill"),
+	};
+
+	// Properties with a special meaning. get returns [value, maximum] for a
+	// battler; the context holds the action being considered. Those with
+	// hasMaximum can be compared with percentages. Any other property name
+	// reads the battler's field of that name. Names are lower case here but
+	// can be written in any case.
+	const specialProperties = {
+		"hp": {hasMaximum: true, get: (battler) => [battler.hp, battler.mhp]},
+		"mp": {hasMaximum: true, get: (battler) => [battler.mp, battler.mmp]},
+		"tp": {hasMaximum: true, get: (battler) => [battler.tp, battler.maxTp()]},
+		"state": {get: (battler) => [battler.states().map(s => s.id), undefined]},
+		"weakness": {get: (battler, context) => [context.action.calcElementRate(battler), undefined]},
+		"expected damage": {hasMaximum: true, get: (battler, context) => [
+			expectedDamage(context.action, battler),
+			hpDamageTypes.includes(context.action.item().damage.type) ? battler.hp : battler.mp,
+		]},
+		"buff": {
+			argument: "parameter",
+			hasMaximum: true,
+			get: (battler, context, paramId) => [Math.max(0, battler.buff(paramId)), 2],
+		},
+		"debuff": {
+			argument: "parameter",
+			hasMaximum: true,
+			get: (battler, context, paramId) => [Math.max(0, -battler.buff(paramId)), 2],
+		},
+		"elementrate": {
+			argument: "element",
+			get: (battler, context, elementId) => [battler.elementRate(elementId), undefined],
+		},
+		"staterate": {
+			argument: "state",
+			get: (battler, context, stateId) => [battler.stateRate(stateId), undefined],
+		},
+		"used this turn": {get: (battler, context) => [
+			usesOf(battler, context.action.item().id).some(use => use.turn === memoryTurn(battler)), undefined,
+		]},
+		"used last turn": {get: (battler, context) => [
+			usesOf(battler, context.action.item().id).some(use => use.turn === memoryTurn(battler) - 1), undefined,
+		]},
+		"turns since used": {get: (battler, context) => {
+			let uses = usesOf(battler, context.action.item().id);
+			return [uses.length > 0 ? memoryTurn(battler) - uses[uses.length - 1].turn : Infinity, undefined];
+		}},
+		"attacked me this turn": {get: (battler, context) => [
+			attackedIn(battler, context.self, memoryTurn(context.self)), undefined,
+		]},
+		"attacked me last turn": {get: (battler, context) => [
+			attackedIn(battler, context.self, memoryTurn(context.self) - 1), undefined,
+		]},
+		"damage taken this turn": {hasMaximum: true, get: (battler) => [damageTakenIn(battler, memoryTurn(battler)), battler.mhp]},
+		"damage taken last turn": {hasMaximum: true, get: (battler) => [damageTakenIn(battler, memoryTurn(battler) - 1), battler.mhp]},
+		"cooldown": {
+			argument: "skill",
+			// The skills chosen earlier this turn are only known for the
+			// battler whose rule it is.
+			get: (battler, context, skillId) => [
+				battler.easySkillCooldown(skillId, battler === context.self ? actionSlotOf(context) : undefined), undefined,
+			],
+		},
+		"threat": {get: (battler, context) => [threatOf(context.self, battler), undefined]},
+		"same as last": {get: (battler, context) => [lastTargetOf(context.self, battler) === battler, undefined]},
+		"already targeted": {get: (battler, context) => [pendingActionsAgainst(battler, context.self).length > 0, undefined]},
+		"pending damage": {hasMaximum: true, get: (battler, context) => [pendingHpDamage(battler, context.self), battler.mhp]},
+		"hp after pending": {hasMaximum: true, get: (battler, context) => [
+			Math.min(Math.max(battler.hp - pendingHpDamage(battler, context.self), 0), battler.mhp), battler.mhp,
+		]},
+	};
+
+	// Other plugins can add properties and comparisons of their own. Rules
+	// are compiled when the database loads, so they must be registered
+	// before then, i.e. when those plugins load.
+	const builtInProperties = Object.keys(specialProperties);
+	const builtInComparisons = ["zero", "lowest", "highest", "lethal", "low", "high", "max",
+		"below", "equal", "equals", "not", "above", "between", "is"];
+	const customComparisons = {};
+
+	function checkRegisteredName(kind, name, builtIn) {
+		let lowerCase = String(name).trim().toLowerCase();
+		if (!/^[a-z][a-z0-9]*(?: [a-z0-9]+)*$/.test(lowerCase)) {
+			throw new Error("LWP_AiAdjustment: " + kind + " name \"" + name + "\" must be letters, digits and single spaces");
+		}
+		if (builtIn.includes(lowerCase)) {
+			throw new Error("LWP_AiAdjustment: \"" + lowerCase + "\" is already a built-in " + kind);
+		}
+		if (processedEnemies !== null) {
+			console.warn("LWP_AiAdjustment: " + kind + " \"" + lowerCase + "\" was registered after the database " +
+				"loaded, so rules already read don't know about it. Register it when your plugin loads instead.");
+		}
+		return lowerCase;
+	}
+
+	// Adds ".name" for rules: getter(battler, context) returns its value
+	// and maxGetter(battler, context), if given, its maximum for "low",
+	// "high", "max" and percentages. context.self is the battler whose rule
+	// it is and context.action the Game_Action being considered.
+	LWP_AiAdjustment.registerProperty = function(name, getter, maxGetter) {
+		if (typeof getter !== "function" || (maxGetter && typeof maxGetter !== "function")) {
+			throw new Error("LWP_AiAdjustment: property \"" + name + "\" needs a getter function");
+		}
+		specialProperties[checkRegisteredName("property", name, builtInProperties)] = {
+			hasMaximum: !!maxGetter,
+			get: (battler, context) => [getter(battler, context), maxGetter ? maxGetter(battler, context) : undefined],
+		};
+	};
+
+	// Adds a comparison, written after the property like "low" or
+	// "above 3". test(value, max, operand, battler, context) returns
+	// whether it holds; operand is the value of whatever follows the name
+	// (anything "above" accepts), or undefined if nothing does.
+	LWP_AiAdjustment.registerComparison = function(name, test) {
+		if (typeof test !== "function") {
+			throw new Error("LWP_AiAdjustment: comparison \"" + name + "\" needs a test function");
+		}
+		customComparisons[checkRegisteredName("comparison", name, builtInComparisons)] = test;
+	};
+
+	// Splits the text after a "." into the property name, its argument if
+	// it takes one, and the rest of the condition. Special property names
+	// can contain spaces.
+	function splitProperty(text) {
+		let lowerCase = text.toLowerCase();
+		let property = Object.keys(specialProperties)
+			.sort((a, b) => b.length - a.length)
+			.find(name => lowerCase.startsWith(name) && !/[a-z]/i.test(text.charAt(name.length)));
+		if (!property) {
+			let fieldMatch = /^[a-zA-Z]+/.exec(text);
+			if (!fieldMatch) {
+				throw new Error("Expected a property name after \".\" in \"." + text.trim() + "\"");
+			}
+			return {property: fieldMatch[0], rest: text.substring(fieldMatch[0].length)};
+		}
+		let rest = text.substring(property.length);
+		let argumentType = specialProperties[property].argument;
+		if (!argumentType) {
+			return {property, rest};
+		}
+		let leadingSpace = /^\s*/.exec(rest)[0];
+		let [argument, length] = propertyArguments[argumentType](rest.substring(leadingSpace.length));
+		return {property, argument, rest: rest.substring(leadingSpace.length + length)};
+	}
+
+	// Other plugins may set their fields on each battler rather than on
+	// the prototypes, so whether a field exists can't be known until a
+	// rule reads it. A name the battler doesn't have, like a typo for
+	// ".hpp", is reported the first time it's read.
+	const reportedProperties = new Set();
+
+	function readField(battler, prop) {
+		if (!(prop in battler) && !reportedProperties.has(prop)) {
+			reportedProperties.add(prop);
+			console.warn("LWP_AiAdjustment: " + describeBattler(battler) + " has no property \"" + prop +
+				"\", so rules using it never see a value");
+		}
+		return battler[prop];
+	}
+
+	function easyModifierActorPropertyProcessor(prop, argument) {
+		return (actor, context) => {
+			if (!prop || /^\s*$/.test(prop)) return [actor, undefined];
+			let special = specialProperties[prop.toLowerCase()];
+			if (special) return special.get(actor, context, argument);
+			return [readField(actor, prop), undefined];
+		}
+	}
+
+	// Which of the battler's actions this turn is being chosen (0 for the
+	// first) and the items already chosen for the ones before it. Enemies
+	// pass this in while rating, and auto-battle keeps track of the slot
+	// it's filling; otherwise it's worked out from the battler's actions:
+	// the action's own slot if it has one, or else the first slot that
+	// hasn't been filled yet.
+	function actionSlotOf(context) {
+		if (!context.actionSlot) {
+			let {self, action} = context;
+			let actions = [];
+			for (let i = 0; i < self.numActions(); i++) {
+				actions.push(self.action(i));
+			}
+			let slot = actions.indexOf(action);
+			if (autoBattle && autoBattle.actor === self && autoBattle.slot >= 0) {
+				slot = autoBattle.slot;
+			}
+			if (slot < 0) {
+				slot = actions.findIndex(other => !other.item());
+			}
+			if (slot < 0) {
+				slot = actions.length;
+			}
+			let chosen = actions.slice(0, slot).map(other => other.item()).filter(item => item);
+			context.actionSlot = {slot, chosen};
+		}
+		return context.actionSlot;
+	}
+
+	function easyModifiersLhs(expression) {
+		const actorExpression = /^\s*(?:(all)\s+)?(ally|enemy|me)(?:\.(.*)|\s+(.*)|$)/;
+		const switchExpression = /^\s*switch\s+(\d+)\s+(.*)/;
+		const variableExpression = /^\s*variable\s+(\d+)\s+(.*)/;
+		const turnExpression = /^\s*turn\s+(.*)/;
+		const countExpression = /^\s*count\s+(?:(dead)\s+)?(ally|enemy)\s+(.*)/;
+		const slotExpression = /^\s*slot\s+(.*)/;
+		const chosenExpression = /^\s*chosen\s+this\s+turn\b(.*)/;
+		let actorMatch = actorExpression.exec(expression);
+		if (actorMatch) {
+			let all = /all/i.test(actorMatch[1]);
+			let actorType = actorMatch[2];
+			let actorProperty;
+			let propertyArgument;
+			let rhs = actorMatch[4];
+			if (actorMatch[3] !== undefined) {
+				({property: actorProperty, argument: propertyArgument, rest: rhs} = splitProperty(actorMatch[3]));
+			}
+			let propertyAccessor = easyModifierActorPropertyProcessor(actorProperty, propertyArgument);
+			let evaluator = (self, rhsEvaluator, context) => {
+				let actors = [];
+				if (/^my|me$/i.test(actorType)) {
+					actors = [self];
+				} else if (/ally/i.test(actorType)) {
+					actors = self.friendsUnit().members();
+				} else {
+					actors = self.opponentsUnit().members();
+				}
+				let [min, max] = actors.reduce((incoming, actor) => {
+					let props = propertyAccessor(actor, context);
+					let min = incoming[0] === null ? props[0] : Math.min(props[0], incoming[0]);
+					let max = incoming[1] === null ? props[0] : Math.max(props[0], incoming[1]);
+					return [min, max];
+				}, [null, null]);
+				if (all) {
+					return actors.every(actor => {
+						let [value, maxValue] = propertyAccessor(actor, context);
+						return rhsEvaluator(value, maxValue, min, max, actor);
+					});
+				} else {
+					return actors.some(actor => {
+						let [value, maxValue] = propertyAccessor(actor, context);
+						return rhsEvaluator(value, maxValue, min, max, actor);
+					});
+				}
+			};
+			return {evaluator, rhs, subject: {battler: true, property: actorProperty}};
+		}
+		let switchMatch = switchExpression.exec(expression);
+		if (switchMatch) {
+			let switchId = parseInt(switchMatch[1]);
+			let rhs = switchMatch[2];
+			let evaluator = (self, rhsEvaluator) => {
+				let value = $gameSwitches.value(switchId);
+				return rhsEvaluator(value);
+			};
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		let variableMatch = variableExpression.exec(expression);
+		if (variableMatch) {
+			let variableId = parseInt(variableMatch[1]);
+			let rhs = variableMatch[2];
+			let evaluator = (self, rhsEvaluator) => {
+				let value = $gameVariables.value(variableId);
+				return rhsEvaluator(value);
+			};
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		let turnMatch = turnExpression.exec(expression);
+		if (turnMatch) {
+			let rhs = turnMatch[1];
+			// MZ counts the first turn as 1 for the action patterns' turn
+			// condition, MV counts it as 0; match whichever engine this is.
+			let evaluator = (self, rhsEvaluator) => {
+				let value = self.turnCount ? self.turnCount() : $gameTroop.turnCount();
+				return rhsEvaluator(value);
+			};
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		let countMatch = countExpression.exec(expression);
+		if (countMatch) {
+			let dead = !!countMatch[1];
+			let unitType = countMatch[2];
+			let rhs = countMatch[3];
+			let evaluator = (self, rhsEvaluator) => {
+				let unit = /ally/i.test(unitType) ? self.friendsUnit() : self.opponentsUnit();
+				let value = dead ? unit.deadMembers().length : unit.aliveMembers().length;
+				return rhsEvaluator(value);
+			};
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		let slotMatch = slotExpression.exec(expression);
+		if (slotMatch) {
+			let rhs = slotMatch[1];
+			let evaluator = (self, rhsEvaluator, context) => rhsEvaluator(actionSlotOf(context).slot + 1);
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		let chosenMatch = chosenExpression.exec(expression);
+		if (chosenMatch) {
+			let rhs = chosenMatch[1];
+			let evaluator = (self, rhsEvaluator, context) => {
+				let item = context.action.item();
+				return rhsEvaluator(actionSlotOf(context).chosen.filter(chosen => chosen === item).length);
+			};
+			return {evaluator, rhs, subject: {battler: false}};
+		}
+		throw new Error("Could not parse condition " + expression);
+	}
+
+	function hasMaximum(subject) {
+		let special = subject.battler && subject.property && specialProperties[subject.property.toLowerCase()];
+		return !!special && !!special.hasMaximum;
+	}
+
+	// subject is what's being compared: whether it's a battler, and which
+	// of its properties if any. Comparisons that only make sense for some
+	// subjects are checked here, so they fail when the rules load rather
+	// than in battle.
+	function easyModifiersRhs(rhs, subject = {battler: false}) {
+		if (!rhs || rhs.replace(/^\s+|\s+$/g, '') === '') {
+			return (value) => {
+				return !!value;
+			};
+		}
+		// Evaluators are called with (value, valueMax, groupMin, groupMax,
+		// battler, settings, context); settings are those of the battler
+		// whose rule is being checked.
+		let lowerCase = rhs.trim().toLowerCase();
+		let customName = Object.keys(customComparisons)
+			.sort((a, b) => b.length - a.length)
+			.find(name => lowerCase.startsWith(name) && !/[a-z0-9]/.test(lowerCase.charAt(name.length)));
+		if (customName) {
+			let test = customComparisons[customName];
+			let operandText = rhs.trim().substring(customName.length);
+			let operand = operandText.trim() === "" ? null : compileRhsExpression(operandText, subject);
+			return (value, valueMax, groupMin, groupMax, battler, settings, context) =>
+				!!test(value, valueMax, operand ? operand(valueMax, battler, context) : undefined, battler, context);
+		}
+		const rhsExpression = /^\s*(?:(zero|lowest|highest|lethal|low|high|max)\s*$|(below|equals?|not equals?|above)\s+(.*)$)/;
+		const betweenExpression = /^\s*(not\s+)?between\s+(.*?)\s+and\s+(.*)$/;
+		let betweenMatch = betweenExpression.exec(rhs);
+		if (betweenMatch) {
+			let not = !!betweenMatch[1];
+			let lowest = compileRhsExpression(betweenMatch[2], subject);
+			let highest = compileRhsExpression(betweenMatch[3], subject);
+			return (value, valueMax, groupMin, groupMax, battler, settings, context) => {
+				let inside = value >= lowest(valueMax, battler, context) && value <= highest(valueMax, battler, context);
+				return inside !== not;
+			};
+		}
+		let rhsMatch = rhsExpression.exec(rhs);
+		if (rhsMatch) {
+			let namedCategory = rhsMatch[1]; // only valid if a valid MAX value is also available, eg. hp/mhp
+			if (namedCategory === "lethal" && !(subject.battler && /^expected damage$/i.test(subject.property || ""))) {
+				throw new Error("\"lethal\" only works with .expected damage");
+			}
+			if (namedCategory) {
+				return (value, valueMax, groupMin, groupMax, battler, settings = defaultAiSettings) => {
+					switch (namedCategory) {
+						case 'zero': return value === 0;
+						case 'low': return valueMax ? value < valueMax * settings.lowFraction : value < settings.lowNumber;
+						case 'high': return valueMax ? value > valueMax * settings.highFraction : value > settings.highNumber;
+						case 'max': return value === valueMax;
+						case 'lowest': return value === groupMin;
+						case 'highest': return value === groupMax;
+						case 'lethal': return value >= valueMax;
+					}
+				}
+			}
+			let inequality = rhsMatch[2].toLowerCase().replace(/s$/,'');
+			let comparator;
+			switch (inequality) {
+				case 'below': comparator = (a, b) => a < b; break;
+				case 'equal': comparator = (a, b) => a == b; break;
+				case 'not equal': comparator = (a, b) => a != b; break;
+				case 'above': comparator = (a, b) => a > b; break;
+			}
+			let other = compileRhsExpression(rhsMatch[3], subject);
+			return (value, valueMax, groupMin, groupMax, battler, settings, context) => {
+				return comparator(value, other(valueMax, battler, context));
+			};
+		}
+		const rhsSetExpression = /^\s*is(\s+not)?\s+(?:(\d+)|(on|off)|(.*))\s*$/;
+		let rhsSetMatch = rhsSetExpression.exec(rhs);
+		if (rhsSetMatch) {
+			let not = /not/i.test(rhsSetMatch[1]);
+			let stateId = rhsSetMatch[2];
+			if (stateId) {
 				return (values) => {
 					if (!values.includes) return (values === parseInt(stateId)) !== not
 					return values.includes(parseInt(stateId)) !== not;
@@ -336,8 +1800,11 @@
 			let stateName = rhsSetMatch[4];
 			if (stateName) {
 				if (/^dead$/i.test(stateName)) {
+					if (!subject.battler || subject.property) {
+						throw new Error("\"is dead\" only works with battlers, e.g. \"ally is dead\"");
+					}
 					return (actor) => {
-						return actor.isDeathStateAffected();
+						return actor.isDeathStateAffected() !== not;
 					}
 				}
 				let stateId = findStateByName(stateName);
@@ -351,89 +1818,781 @@
 				return (value === boolean) !== not;
 			};
 		}
-		console.log("Could not parse RHS expression", rhs);
-		throw new Error("Could not parse RHS expression");
+		throw new Error("Could not parse comparison \"" + rhs.trim() + "\"");
 	}
 
-	Game_Enemy.prototype.execEasyModifiersForRating = function(rating, easyModifiers) {
-		for (line of easyModifiers) {
-			const ratingRe = /(boost|nerf)\s+(\d+)\s+when\s+(.*)/i
-			let match = ratingRe.exec(line);
+	// What a comparison is compared with, e.g. the "variable 3 * 2" of
+	// "below variable 3 * 2":
+	// expression := product (("+" | "-") product)*
+	// product    := operand (("*" | "/") operand)*
+	// operand    := "-" operand | "(" expression ")" | number | number "%"
+	//             | "variable" id | "me." property | "." property
+	// A percentage is of the maximum of the value being compared, and
+	// ".property" is a property of the battler being compared. subject is
+	// what's being compared, as for easyModifiersRhs. Returns a function of
+	// (valueMax, battler, context).
+	function compileRhsExpression(text, subject = {battler: false}) {
+		let rest = text;
+		const take = (re) => {
+			let match = re.exec(rest);
 			if (match) {
-				let type = match[1];
-				let amount = parseInt(match[2]);
-				if (/nerf/.test(type)) {
-					amount = -amount;
+				rest = rest.substring(match[0].length);
+			}
+			return match;
+		};
+		const parseExpression = () => {
+			let result = parseProduct();
+			let match = take(/^\s*([+-])/);
+			while (match) {
+				let left = result;
+				let right = parseProduct();
+				result = match[1] === "+"
+					? (...args) => left(...args) + right(...args)
+					: (...args) => left(...args) - right(...args);
+				match = take(/^\s*([+-])/);
+			}
+			return result;
+		};
+		const parseProduct = () => {
+			let result = parseOperand();
+			let match = take(/^\s*([*\/])/);
+			while (match) {
+				let left = result;
+				let right = parseOperand();
+				result = match[1] === "*"
+					? (...args) => left(...args) * right(...args)
+					: (...args) => left(...args) / right(...args);
+				match = take(/^\s*([*\/])/);
+			}
+			return result;
+		};
+		const parseOperand = () => {
+			let match;
+			if (take(/^\s*-/)) {
+				let operand = parseOperand();
+				return (...args) => -operand(...args);
+			}
+			if (take(/^\s*\(/)) {
+				let inner = parseExpression();
+				if (!take(/^\s*\)/)) {
+					throw new Error("Expected \")\" in \"" + text.trim() + "\"");
 				}
-				let whenClause = match[3];
-				let {evaluator, rhs} = easyModifiersLhs(this, whenClause);
-				let result = evaluator(easyModifiersRhs(rhs));
-				if (result) {
-					rating = rating + amount;
+				return inner;
+			}
+			if ((match = take(/^\s*(\d*\.?\d+)(%?)/))) {
+				let number = parseFloat(match[1]);
+				if (match[2] && !hasMaximum(subject)) {
+					throw new Error("Percentages only work for properties with a maximum, like .hp");
 				}
+				return match[2] ? (valueMax) => number / 100 * valueMax : () => number;
+			}
+			if ((match = take(/^\s*variable\s+(\d+)/))) {
+				let variableId = parseInt(match[1]);
+				return () => $gameVariables.value(variableId);
 			}
+			if ((match = take(/^\s*(me)?\./))) {
+				let ofMe = !!match[1];
+				let property;
+				let argument;
+				({property, argument, rest} = splitProperty(rest));
+				let propertyAccessor = easyModifierActorPropertyProcessor(property, argument);
+				// Switches and variables aren't battlers, so there "." is "me."
+				return (valueMax, battler, context) =>
+					propertyAccessor(ofMe || !battler ? context.self : battler, context)[0];
+			}
+			throw new Error("Could not parse comparison \"" + text.trim() + "\"");
+		};
+		let evaluate = parseExpression();
+		if (rest.trim() !== "") {
+			throw new Error("Could not parse comparison \"" + text.trim() + "\"");
 		}
-		return rating;
+		return evaluate;
 	}
 
-	Game_Enemy.prototype.execEasyModifiersForTgr = function(easyModifiers, availableTargets) {
-		let tgrs = availableTargets.map(target => target.tgr);
-		for (line of easyModifiers) {
-			const targetRe = /target\s+(?:(\d*\.?\d+)x\s+|(only)\s+)?(?:\.([a-zA-Z]+)\s+)?(.*)/i
-			let match = targetRe.exec(line);
-			if (match) {
-				let multiplier = match[1];
-				let only = !!match[2];
-				let prop = match[3];
-				let propertyAccessor = easyModifierActorPropertyProcessor(prop);
-				let rhs = match[4];
-
-				evaluator = (targets, tgrs, rhsEvaluator) => {
-					let actors = targets;
-					let [min, max] = actors.reduce((incoming, actor, i) => {
-						let props = propertyAccessor(actor, {tgr: tgrs[i]});
-						let min = incoming[0] === null ? props[0] : Math.min(props[0], incoming[0]);
-						let max = incoming[0] === null ? props[0] : Math.max(props[0], incoming[0]);
-						return [min, max];
-					}, [null, null]);
-					for (let i in targets) {
-						let actor = targets[i];
-						let [value, maxValue] = propertyAccessor(actor, {tgr: tgrs[i]});
-						let result = rhsEvaluator(value, maxValue, min, max);
-						console.log("Result for target condition " + line + " for target: " + result, actor, {value, maxValue, min, max});
-						if (result) {
-							if (!only) {
-								multiplier = multiplier || "2";
-								tgrs[i] *= parseFloat(multiplier);
-							}
-						} else if (only) {
-							tgrs[i] = 0;
-						}
+	// Splits a condition into "(", ")", "and", "or", "not" and the atoms in
+	// between. A "(" that appears after an atom has started belongs to the
+	// atom (e.g. a state name with brackets in it), as does "not" anywhere
+	// but the start of an atom ("is not", "not equal"), and the "and" of
+	// "between 20% and 50%".
+	function tokenizeCondition(expression) {
+		const tokens = [];
+		const pieceRe = /\(|\)|[^\s()]+/g;
+		let atom = null;
+		let depth = 0;
+		const endAtom = () => {
+			if (atom) {
+				tokens.push({type: "atom", text: expression.substring(atom.start, atom.end)});
+			}
+			atom = null;
+		};
+		let match = pieceRe.exec(expression);
+		while (match) {
+			let piece = match[0];
+			let start = match.index;
+			let end = start + piece.length;
+			if (atom && (depth > 0 || piece === "(")) {
+				depth += piece === "(" ? 1 : piece === ")" ? -1 : 0;
+				atom.end = end;
+			} else if (piece === "(" || piece === ")") {
+				endAtom();
+				tokens.push({type: piece});
+			} else if (atom && atom.between && /^and$/i.test(piece)) {
+				atom.between = false;
+				atom.end = end;
+			} else if (/^(and|or)$/i.test(piece) || (!atom && /^not$/i.test(piece))) {
+				endAtom();
+				tokens.push({type: piece.toLowerCase()});
+			} else if (atom) {
+				atom.between = atom.between || /^between$/i.test(piece);
+				atom.end = end;
+			} else {
+				atom = {start, end};
+			}
+			match = pieceRe.exec(expression);
+		}
+		endAtom();
+		return tokens;
+	}
+
+	// condition := term ("or" term)*
+	// term      := factor ("and" factor)*
+	// factor    := "not" factor | "(" condition ")" | atom
+	// Atoms are compiled by compileAtom, so the same grammar serves both
+	// rating conditions and target conditions.
+	function compileCondition(expression, compileAtom) {
+		const tokens = tokenizeCondition(expression);
+		let position = 0;
+		const peek = () => tokens[position] && tokens[position].type;
+		const parseCondition = () => {
+			let terms = [parseTerm()];
+			while (peek() === "or") {
+				position++;
+				terms.push(parseTerm());
+			}
+			return terms.length === 1 ? terms[0] : (context) => terms.some(term => term(context));
+		};
+		const parseTerm = () => {
+			let factors = [parseFactor()];
+			while (peek() === "and") {
+				position++;
+				factors.push(parseFactor());
+			}
+			return factors.length === 1 ? factors[0] : (context) => factors.every(factor => factor(context));
+		};
+		const parseFactor = () => {
+			let token = tokens[position++];
+			if (!token) {
+				throw new Error("Condition \"" + expression.trim() + "\" ends too early");
+			}
+			switch (token.type) {
+				case "not": {
+					let factor = parseFactor();
+					return (context) => !factor(context);
+				}
+				case "(": {
+					let condition = parseCondition();
+					if (peek() !== ")") {
+						throw new Error("Missing \")\" in condition \"" + expression.trim() + "\"");
 					}
+					position++;
+					return condition;
 				}
-				evaluator(availableTargets, tgrs, easyModifiersRhs(rhs));
+				case "atom": return compileAtom(token.text);
+				default: throw new Error("Unexpected \"" + token.type + "\" in condition \"" + expression.trim() + "\"");
 			}
+		};
+		let condition = parseCondition();
+		if (position < tokens.length) {
+			throw new Error("Unexpected \"" + (tokens[position].text || tokens[position].type) + "\" in condition \"" + expression.trim() + "\"");
 		}
-		return tgrs.map((tgr, i) => ({member: availableTargets[i], tgr}));
+		return condition;
 	}
 
-	Game_Enemy.prototype.modifyActionRating = function(action) {
-		let skillId = action.skillId;
-		let rating = action.rating;
-		if (this.enemy().easySkillModifiers && this.enemy().easySkillModifiers[skillId]) {
-			easyModifiers = this.enemy().easySkillModifiers[skillId];
-			rating = this.execEasyModifiersForRating(action.rating, easyModifiers);
+	// Atom of a boost/nerf condition: me/ally/enemy, switch or variable.
+	function compileSubjectCondition(expression) {
+		let {evaluator, rhs, subject} = easyModifiersLhs(expression);
+		let rhsEvaluator = easyModifiersRhs(rhs, subject);
+		return (context) => {
+			let settings = context.self.aiSettings();
+			return evaluator(context.self, (value, valueMax, groupMin, groupMax, battler) =>
+				rhsEvaluator(value, valueMax, groupMin, groupMax, battler, settings, context), context);
+		};
+	}
+
+	// Atom of a target condition. Anything starting with a subject is
+	// evaluated as in a boost/nerf condition; otherwise the atom looks at the
+	// target being rated, compared against the other available targets for
+	// "lowest" and "highest".
+	function compileTargetCondition(expression) {
+		if (/^\s*(?:(?:all\s+)?(?:ally|enemy|me)\b|(?:switch|variable|turn|count|slot)\s|chosen\s+this\s+turn\b)/i.test(expression)) {
+			return compileSubjectCondition(expression);
+		}
+		let property;
+		let argument;
+		let rhs = expression;
+		// "already targeted" and "same as last" read better without a "."
+		let propertyMatch = /^\s*\.(.*)$/.exec(expression) ||
+			/^\s*((?:already targeted|same as last)\b.*)$/i.exec(expression);
+		if (propertyMatch) {
+			({property, argument, rest: rhs} = splitProperty(propertyMatch[1]));
 		}
-		return rating;
+		let propertyAccessor = easyModifierActorPropertyProcessor(property, argument);
+		let rhsEvaluator = easyModifiersRhs(rhs, {battler: true, property});
+		return (context) => {
+			let {targets, index} = context;
+			let [min, max] = targets.reduce((incoming, actor) => {
+				let props = propertyAccessor(actor, context);
+				let min = incoming[0] === null ? props[0] : Math.min(props[0], incoming[0]);
+				let max = incoming[1] === null ? props[0] : Math.max(props[0], incoming[1]);
+				return [min, max];
+			}, [null, null]);
+			let [value, maxValue] = propertyAccessor(targets[index], context);
+			return rhsEvaluator(value, maxValue, min, max, targets[index], context.self.aiSettings(), context);
+		};
 	}
-	
+
+	// Modifier lines are compiled once, when the notetags are processed, into
+	// rules holding pre-built condition closures; evaluating a rule during
+	// battle never touches the original text again.
+	function compileEasyModifiers(script, reportProblem) {
+		const compiled = {rating: [], tgr: [], limits: []};
+		for (const {line, text} of script) {
+			try {
+				let ratingRule = compileRatingModifier(text);
+				if (ratingRule) {
+					compiled.rating.push(ratingRule);
+					continue;
+				}
+				let tgrRule = compileTgrModifier(text);
+				if (tgrRule) {
+					compiled.tgr.push(tgrRule);
+					continue;
+				}
+				let limitRule = compileLimitModifier(text);
+				if (limitRule) {
+					compiled.limits.push(limitRule);
+					continue;
+				}
+				throw new Error("Not a rating (boost, nerf, set, scale, forbid, force), target, cooldown or limit rule");
+			} catch (e) {
+				reportProblem({line, text, message: e.message});
+			}
+		}
+		return compiled;
+	}
+
+	function compileLimitModifier(line) {
+		const cooldownRe = /^\s*cooldown\s+(\d+)\s*$/i;
+		const limitRe = /^\s*limit\s+(\d+)\s+per\s+(battle|turn)\s*$/i;
+		let match = cooldownRe.exec(line);
+		if (match) {
+			return {line, cooldown: parseInt(match[1])};
+		}
+		match = limitRe.exec(line);
+		if (match) {
+			return {line, limit: parseInt(match[1]), per: match[2].toLowerCase()};
+		}
+		return null;
+	}
+
+	function compileRatingModifier(line) {
+		const ratingRe = /^\s*(?:(boost|nerf|set)\s+(\d*\.?\d+)|(scale)\s+(\d*\.?\d+)x?|(forbid|force))\s+when\s+(.*)/i;
+		let match = ratingRe.exec(line);
+		if (!match) return null;
+		let operation = (match[1] || match[3] || match[5]).toLowerCase();
+		let amount = parseFloat(match[2] || match[4]);
+		if (operation === "nerf") {
+			operation = "boost";
+			amount = -amount;
+		}
+		let whenClause = match[6];
+		return {
+			line,
+			operation,
+			amount,
+			conditionText: whenClause,
+			condition: compileCondition(whenClause, compileSubjectCondition),
+		};
+	}
+
+	function compileTgrModifier(line) {
+		const targetRe = /^\s*target\s+(?:(\d*\.?\d+)x\s+|(only)\s+)?(.*)/i;
+		let match = targetRe.exec(line);
+		if (!match) return null;
+		return {
+			line,
+			// Without a multiplier, the battler's "Target Multiplier" is used.
+			multiplier: match[1] ? parseFloat(match[1]) : null,
+			only: !!match[2],
+			conditionText: match[3],
+			condition: compileCondition(match[3], compileTargetCondition),
+		};
+	}
+
+	// Rules apply in a fixed order no matter how they are written: the last
+	// "set" replaces the rating, then boosts and nerfs are added, then every
+	// "scale" multiplies it. "forbid" and "force" don't change the rating;
+	// they decide which actions may be chosen at all.
+	Game_Battler.prototype.execEasyModifiersForRating = function(rating, easyModifiers, action, actionSlot) {
+		let applied = easyModifiers.rating.filter(rule => rule.condition({self: this, action, actionSlot}));
+		let ofType = (operation) => applied.filter(rule => rule.operation === operation);
+		let sets = ofType("set");
+		if (sets.length > 0) {
+			rating = sets[sets.length - 1].amount;
+		}
+		rating = ofType("boost").reduce((total, rule) => total + rule.amount, rating);
+		rating = ofType("scale").reduce((total, rule) => total * rule.amount, rating);
+		return {
+			rating,
+			forbidden: ofType("forbid").length > 0,
+			forced: ofType("force").length > 0,
+			rules: applied.map(rule => rule.line),
+		};
+	}
+
+	Game_Battler.prototype.execEasyModifiersForTgr = function(easyModifiers, availableTargets, action) {
+		let baseTgrs = availableTargets.map(baseTgr);
+		let tgrs = blendThreat(this, availableTargets, baseTgrs);
+		// Outside a playtest with the debug log off, nobody sees the
+		// explanation, so don't build it.
+		let explained = isDebugLogged(this) || isDecisionRecorded();
+		let ruleResults = [];
+		for (const rule of easyModifiers.tgr) {
+			let {only, condition} = rule;
+			let multiplier = rule.multiplier === null ? this.aiSettings().targetMultiplier : rule.multiplier;
+			// Decide every target before changing any tgr, so "lowest" and
+			// "highest" compare against the same values for each target.
+			let results = availableTargets.map((actor, index) => condition({
+				self: this, action, targets: availableTargets, tgrs, index,
+			}));
+			if (explained) {
+				ruleResults.push({rule: rule.line, results});
+			}
+			availableTargets.forEach((actor, i) => {
+				if (results[i]) {
+					if (!only) {
+						tgrs[i] *= multiplier;
+					}
+				} else if (only) {
+					tgrs[i] = 0;
+				}
+			});
+		}
+		let weights = tgrs.map((tgr, i) => ({member: availableTargets[i], tgr}));
+		if (!explained) return weights;
+		let details = {battler: this, skillId: action.item().id, rules: ruleResults, baseTgrs, weights};
+		if (isDebugLogged(this)) {
+			debugLog(this,
+				describeBattler(this) + " target weights for " + describeSkill(action.item().id) + ": " +
+					weights.map(({member, tgr}, i) => member.name() + " " + baseTgrs[i] + " -> " + tgr).join(", "),
+				() => ruleResults.map(({rule, results}) => "  " + rule + ": " +
+					availableTargets.map((target, i) => target.name() + (results[i] ? " yes" : " no")).join(", ")),
+				details);
+		}
+		recordDecision(this, "targets", details);
+		return weights;
+	}
+
+	// With a "Threat Weight", each target's tgr goes up by the weight times
+	// its share of the threat of all the targets; so a target with all of
+	// it has its tgr multiplied by 1 + weight.
+	function blendThreat(holder, targets, tgrs) {
+		let weight = holder.aiSettings().threatWeight;
+		if (!(weight > 0)) return tgrs.slice();
+		let threats = targets.map(target => threatOf(holder, target));
+		let total = threats.reduce((sum, threat) => sum + threat, 0);
+		if (!(total > 0)) return tgrs.slice();
+		return tgrs.map((tgr, i) => tgr * (1 + weight * threats[i] / total));
+	}
+
+	// Every profile a source uses goes just before the source itself;
+	// profiles can use other profiles, but each is only included once.
+	function expandAiProfiles(sources, included = new Set()) {
+		let expanded = [];
+		for (const source of sources) {
+			if (!source || included.has(source)) continue;
+			included.add(source);
+			expanded = expanded.concat(expandAiProfiles(source.aiProfiles || [], included), [source]);
+		}
+		return expanded;
+	}
+
+	// Database objects whose <skill-ai> notetags apply to this battler, in
+	// the order their rules are applied. A profile set during the game
+	// replaces the profiles of the battler's own note, and rules added
+	// during the game come after everything else.
+	Game_Battler.prototype.easySkillModifierSources = function() {
+		let own = this.ownEasySkillModifierSources();
+		let overrides = this._aiOverrides;
+		if (overrides && overrides.profiles && own[0]) {
+			let profiles = overrides.profiles.map(findAiProfile).filter(profile => profile);
+			own = [Object.assign({}, own[0], {aiProfiles: profiles})].concat(own.slice(1));
+		}
+		let sources = expandAiProfiles(own.concat(this.states()));
+		if (overrides && overrides.added.length > 0) {
+			sources.push({easySkillModifiers: [].concat(...overrides.added.map(rule => compileRuntimeRule(rule) || []))});
+		}
+		return sources;
+	};
+
+	Game_Battler.prototype.ownEasySkillModifierSources = function() {
+		return [];
+	};
+
+	// The battler's thresholds and default multiplier, from the notetags in
+	// their own note or else the plugin parameters.
+	Game_Battler.prototype.aiSettings = function() {
+		let own = this.ownEasySkillModifierSources()[0];
+		return (own && own.aiSettings) || defaultAiSettings;
+	};
+
+	Game_Enemy.prototype.ownEasySkillModifierSources = function() {
+		return [this.enemy(), $gameTroop.troop()];
+	};
+
+	Game_Actor.prototype.ownEasySkillModifierSources = function() {
+		return [this.actor(), this.currentClass()];
+	};
+
+	Game_Battler.prototype.easySkillModifiersFor = function(skillId) {
+		let overrides = this._aiOverrides;
+		if (overrides && overrides.disabled) return null;
+		let skill = $dataSkills[skillId];
+		let found = [];
+		for (const source of this.easySkillModifierSources()) {
+			for (const block of source.easySkillModifiers || []) {
+				if (block.selector(skill, this)) {
+					found.push(block);
+				}
+			}
+		}
+		if (overrides && overrides.removed.length > 0) {
+			found = found.map(block => withoutRemovedRules(block, overrides.removed));
+		}
+		if (found.length === 0) return null;
+		if (found.length === 1) return found[0];
+		return {
+			rating: [].concat(...found.map(modifiers => modifiers.rating)),
+			tgr: [].concat(...found.map(modifiers => modifiers.tgr)),
+			limits: [].concat(...found.map(modifiers => modifiers.limits)),
+		};
+	};
+
+	// Changes made to a battler's rules during the game, by plugin command
+	// or script call. The battler only keeps the text of the changes, so
+	// that they're saved along with it; rules added this way are compiled
+	// the first time they're used and shared between battlers.
+	const compiledRuntimeRules = new Map();
+
+	function runtimeRuleNote(rule) {
+		return "<skill-ai " + rule.skill + ">\n" + rule.text + "\n</skill-ai>";
+	}
+
+	// The compiled blocks for a rule, or null (having reported why) if it
+	// can't be understood.
+	function compileRuntimeRule(rule) {
+		let note = runtimeRuleNote(rule);
+		if (!compiledRuntimeRules.has(note)) {
+			let problems = [];
+			let blocks = getEasySkillModifiers(note, problem => {
+				problems.push(Object.assign({source: "Rule added during the game"}, problem));
+			});
+			if (problems.length > 0) {
+				reportInvalidRules(problems);
+				return null;
+			}
+			compiledRuntimeRules.set(note, blocks);
+		}
+		return compiledRuntimeRules.get(note);
+	}
+
+	// Rules are matched ignoring case, spacing and comments.
+	function normalizeRuleText(text) {
+		return String(text).replace(/\/\/.*$/, "").trim().replace(/\s+/g, " ").toLowerCase();
+	}
+
+	function isSameRule(a, b) {
+		return normalizeRuleText(a.skill) === normalizeRuleText(b.skill) &&
+			normalizeRuleText(a.text) === normalizeRuleText(b.text);
+	}
+
+	function withoutRemovedRules(block, removed) {
+		let isKept = rule => !removed.some(removedRule => isSameRule(removedRule, {skill: block.header, text: rule.line}));
+		return Object.assign({}, block, {
+			rating: block.rating.filter(isKept),
+			tgr: block.tgr.filter(isKept),
+			limits: block.limits.filter(isKept),
+		});
+	}
+
+	Game_Battler.prototype.aiOverrides = function() {
+		if (!this._aiOverrides) {
+			this._aiOverrides = {added: [], removed: [], profiles: null, disabled: false};
+		}
+		return this._aiOverrides;
+	};
+
+	// Adds one rule line for a skill, written exactly as in a <skill-ai
+	// skill> block. Adding a rule that was removed puts it back instead.
+	// Returns false if the rule can't be understood.
+	Game_Battler.prototype.addAiRule = function(skill, text) {
+		let rule = {skill: String(skill).trim(), text: String(text).trim()};
+		let overrides = this.aiOverrides();
+		let removedIndex = overrides.removed.findIndex(removed => isSameRule(removed, rule));
+		if (removedIndex >= 0) {
+			overrides.removed.splice(removedIndex, 1);
+			return true;
+		}
+		if (!compileRuntimeRule(rule)) return false;
+		overrides.added.push(rule);
+		return true;
+	};
+
+	// Removes a rule line, whether it was added during the game or comes
+	// from a note or profile; the skill must be written as it is in the
+	// <skill-ai> header of the block the rule is in.
+	Game_Battler.prototype.removeAiRule = function(skill, text) {
+		let rule = {skill: String(skill).trim(), text: String(text).trim()};
+		let overrides = this.aiOverrides();
+		let addedIndex = overrides.added.findIndex(added => isSameRule(added, rule));
+		if (addedIndex >= 0) {
+			overrides.added.splice(addedIndex, 1);
+		} else if (!overrides.removed.some(removed => isSameRule(removed, rule))) {
+			overrides.removed.push(rule);
+		}
+	};
+
+	// Uses the named profiles (an array or a comma-separated list) in place
+	// of the ones in the battler's own note; null goes back to those.
+	// Returns false, without changing anything, if a profile doesn't exist.
+	Game_Battler.prototype.setAiProfile = function(names) {
+		if (names === null || names === undefined || names === "") {
+			this.aiOverrides().profiles = null;
+			return true;
+		}
+		let list = (Array.isArray(names) ? names : String(names).split(",")).map(name => name.trim()).filter(name => name);
+		let missing = list.filter(name => !findAiProfile(name));
+		if (missing.length > 0) {
+			reportInvalidRules(missing.map(name => ({
+				source: "Profile set during the game", line: 1, text: name, message: "Could not find AI profile " + name,
+			})));
+			return false;
+		}
+		this.aiOverrides().profiles = list;
+		return true;
+	};
+
+	// While disabled, none of the plugin's rules apply to the battler and it
+	// chooses its actions and targets as if the plugin wasn't there.
+	Game_Battler.prototype.setAiEnabled = function(enabled) {
+		this.aiOverrides().disabled = !enabled;
+	};
+
+	Game_Battler.prototype.isAiEnabled = function() {
+		return !(this._aiOverrides && this._aiOverrides.disabled);
+	};
+
+	Game_Battler.prototype.clearAiOverrides = function() {
+		delete this._aiOverrides;
+	};
+
+	// All of a turn's actions are chosen before any of them is used, so a
+	// skill already chosen for an earlier action this turn counts as used.
+	function timesChosen(actionSlot, skillId) {
+		return actionSlot ? actionSlot.chosen.filter(item => item === $dataSkills[skillId]).length : 0;
+	}
+
+	// Turns left before this battler can use the skill again; 0 if it can
+	// be used now. Cooldowns are counted in the battler's own turns, from
+	// battle memory, so every copy of an enemy has its own. actionSlot is
+	// the action being chosen, if any (see actionSlotOf).
+	Game_Battler.prototype.easySkillCooldown = function(skillId, actionSlot) {
+		let easyModifiers = this.easySkillModifiersFor(skillId);
+		if (!easyModifiers) return 0;
+		let uses = usesOf(this, skillId);
+		let turnsSinceUsed;
+		if (timesChosen(actionSlot, skillId) > 0) {
+			turnsSinceUsed = 0;
+		} else if (uses.length > 0) {
+			turnsSinceUsed = memoryTurn(this) - uses[uses.length - 1].turn;
+		} else {
+			return 0;
+		}
+		return easyModifiers.limits
+			.filter(rule => rule.cooldown !== undefined)
+			.reduce((remaining, rule) => Math.max(remaining, rule.cooldown - turnsSinceUsed + 1), 0);
+	};
+
+	Game_Battler.prototype.isEasySkillLimitReached = function(skillId, easyModifiers, actionSlot) {
+		let uses = usesOf(this, skillId);
+		let chosen = timesChosen(actionSlot, skillId);
+		return easyModifiers.limits.filter(rule => rule.limit !== undefined).some(rule => {
+			let counted = rule.per === "turn" ? uses.filter(use => use.turn === memoryTurn(this)) : uses;
+			return counted.length + chosen >= rule.limit;
+		});
+	};
+
+	// Returns a copy of the action-pattern entry with its modified rating,
+	// flagged as forbidden or forced if those rules apply. gameAction is the
+	// Game_Action being rated, if there already is one; actionSlot is the
+	// slot it's being rated for, if known (see actionSlotOf).
+	Game_Battler.prototype.modifyAction = function(action, gameAction, actionSlot) {
+		let easyModifiers = this.easySkillModifiersFor(action.skillId);
+		if (!easyModifiers) {
+			return Object.assign({}, action, {forbidden: false, forced: false, rules: []});
+		}
+		if (!gameAction) {
+			gameAction = new Game_Action(this);
+			gameAction.setSkill(action.skillId);
+		}
+		let modified = this.execEasyModifiersForRating(action.rating, easyModifiers, gameAction, actionSlot);
+		actionSlot = actionSlotOf({self: this, action: gameAction, actionSlot});
+		let cooldown = this.easySkillCooldown(action.skillId, actionSlot);
+		if (cooldown > 0) {
+			modified.forbidden = true;
+			modified.rules.push("cooldown: " + cooldown + " more turn(s)");
+		}
+		if (this.isEasySkillLimitReached(action.skillId, easyModifiers, actionSlot)) {
+			modified.forbidden = true;
+			modified.rules.push("use limit reached");
+		}
+		return Object.assign({}, action, modified);
+	}
+
+	// Forbidden actions are removed; if any actions are forced, only the
+	// forced ones are left to choose from.
+	function allowedActions(modifiedActions) {
+		let allowed = modifiedActions.filter(action => !action.forbidden);
+		let forced = allowed.filter(action => action.forced);
+		return forced.length > 0 ? forced : allowed;
+	}
+
+	// The enemy's actions are chosen one at a time, and the ratings are
+	// worked out again for each so the rules can see what was chosen for
+	// the actions before it. Each choice is still made by RPG Maker's
+	// selectAllActions (and any plugin that changes it), which is shown only
+	// the action being chosen.
 	const oldGame_Enemy_selectAllActions = Game_Enemy.prototype.selectAllActions;
 	Game_Enemy.prototype.selectAllActions = function(actionList) {
-		const modifiedRatingList = actionList.map( action => {
-			return Object.assign({}, action, {rating: this.modifyActionRating(action)});
-		});
-		console.log("Modified action list for " + this.name(), modifiedRatingList);
-		return oldGame_Enemy_selectAllActions.call(this, modifiedRatingList);
+		let chosen = [];
+		for (let i = 0; i < this.numActions(); i++) {
+			const actionSlot = {slot: i, chosen: chosen.slice()};
+			const modifiedActions = actionList.map(action => this.modifyAction(action, null, actionSlot));
+			const modifiedRatingList = allowedActions(modifiedActions);
+			this.debugLogActions(actionList, modifiedActions, i);
+			this.selectActionForSlot(i, modifiedRatingList);
+			if (this.action(i).item()) {
+				chosen.push(this.action(i).item());
+			}
+		}
+		if (isTroopCoordinated()) {
+			this.decidePendingTargets();
+		}
+	};
+
+	Game_Enemy.prototype.selectActionForSlot = function(slot, actionList) {
+		let action = this.action(slot);
+		this.numActions = () => 1;
+		this.action = () => action;
+		try {
+			oldGame_Enemy_selectAllActions.call(this, actionList);
+		} finally {
+			delete this.numActions;
+			delete this.action;
+		}
+	};
+
+	// Decides the targets of the actions just chosen and adds them to the
+	// pending actions. Random targets are still chosen when the action is
+	// used, so they aren't known in advance; nor are a confused enemy's.
+	Game_Enemy.prototype.decidePendingTargets = function() {
+		if (this.isConfused()) return;
+		for (let i = 0; i < this.numActions(); i++) {
+			let action = this.action(i);
+			if (!action || !action.item() || action.isForRandom()) continue;
+			if (action.isForOne()) {
+				action.decideRandomTarget();
+				// With no one to target (e.g. reviving when no one is dead)
+				// RPG Maker clears the action.
+				if (!action.item()) continue;
+			}
+			for (const target of action.makeTargets()) {
+				let hpDamage = hpDamageTypes.includes(action.item().damage.type) ? expectedDamage(action, target) : 0;
+				battleMemory.pending.push({subject: this, action, target, hpDamage});
+			}
+		}
+	};
+
+	Game_Enemy.prototype.debugLogActions = function(actionList, modifiedActions, slot = 0) {
+		let logged = isDebugLogged(this);
+		if (!logged && !isDecisionRecorded()) return;
+		let describe = (action, i) => describeSkill(action.skillId) + " " + actionList[i].rating + " -> " + action.rating +
+			(action.forbidden ? " forbidden" : action.forced ? " forced" : "");
+		let details = {battler: this, slot, actions: modifiedActions.map((action, i) => Object.assign({baseRating: actionList[i].rating}, action))};
+		if (logged) {
+			let which = this.numActions() > 1 ? " action " + (slot + 1) : "";
+			debugLog(this,
+				describeBattler(this) + which + " chooses from: " + modifiedActions.map(describe).join(", "),
+				() => [].concat(...modifiedActions.map(action => action.rules.map(rule => "  " + describeSkill(action.skillId) + ": " + rule))),
+				details);
+		}
+		recordDecision(this, "actions", details);
+	};
+
+	// The same as RPG Maker's choice by rating, using the plugin's random
+	// numbers; also copes with ratings that aren't whole numbers, which
+	// RPG Maker's choice doesn't.
+	const oldGame_Enemy_selectAction = Game_Enemy.prototype.selectAction;
+	Game_Enemy.prototype.selectAction = function(actionList, ratingZero) {
+		if (isEngineRandom() && actionList.every(action => Number.isInteger(action.rating - ratingZero))) {
+			return oldGame_Enemy_selectAction.call(this, actionList, ratingZero);
+		}
+		return weightedRandom(actionList, action => action.rating - ratingZero);
+	};
+
+	// RPG Maker fills each auto-battle action in turn, setting the best
+	// candidate so far as soon as it's found; so the slot being filled is
+	// counted from the action lists made for it, not from the actions
+	// already set.
+	let autoBattle = null;
+
+	const oldGame_Actor_makeAutoBattleActions = Game_Actor.prototype.makeAutoBattleActions;
+	Game_Actor.prototype.makeAutoBattleActions = function() {
+		let outer = autoBattle;
+		autoBattle = {actor: this, slot: -1};
+		try {
+			return oldGame_Actor_makeAutoBattleActions.apply(this, arguments);
+		} finally {
+			autoBattle = outer;
+		}
+	};
+
+	const oldGame_Actor_makeActionList = Game_Actor.prototype.makeActionList;
+	Game_Actor.prototype.makeActionList = function() {
+		if (autoBattle && autoBattle.actor === this) {
+			autoBattle.slot++;
+		}
+		return oldGame_Actor_makeActionList.apply(this, arguments);
+	};
+
+	// Added to the evaluation of forced actions so they beat any action
+	// that isn't forced.
+	const forcedEvaluationBonus = 1000000;
+
+	// Auto-battle actors pick the action with the best evaluation, so the
+	// rating rules are applied to that evaluation instead of a rating.
+	// When the skill has target rules the evaluated target is forgotten, and
+	// the target is chosen by tgr like an enemy's would be.
+	const oldGame_Action_evaluate = Game_Action.prototype.evaluate;
+	Game_Action.prototype.evaluate = function() {
+		let value = oldGame_Action_evaluate.call(this);
+		if (!this.isSkill()) return value;
+		let modified = this.subject().modifyAction({skillId: this.item().id, rating: value}, this);
+		if (this.hasTgrRules()) {
+			this._targetIndex = -1;
+		}
+		if (modified.forbidden) return -Infinity;
+		return modified.forced ? modified.rating + forcedEvaluationBonus : modified.rating;
 	};
 
 	const oldGame_Action_targetsForOpponents = Game_Action.prototype.targetsForOpponents;
@@ -451,37 +2610,89 @@
 		return oldGame_Action_targetsForOpponents.call(this);
 	};
 	
+	// MZ's "1 ally (dead or alive)" and "all allies (dead or alive)".
+	const deadOrAliveFriendScopes = [12, 13];
+
+	Game_Action.prototype.isForDeadOrAliveFriend = function() {
+		return this.checkItemScope(deadOrAliveFriendScopes);
+	};
+
+	// The one friend to target when none has been chosen yet: the living,
+	// the dead or anyone, depending on the scope.
+	Game_Action.prototype.randomFriendTarget = function() {
+		let unit = this.friendsUnit();
+		let tgrModifier = this.makeTgrModifier();
+		if (this.isForDeadFriend()) {
+			return unit.randomDeadTarget(tgrModifier);
+		} else if (this.isForDeadOrAliveFriend()) {
+			return weightedMember(unit.members(), tgrModifier);
+		}
+		return unit.randomTarget(tgrModifier);
+	};
+
 	const oldGame_Action_targetsForFriends = Game_Action.prototype.targetsForFriends
 	Game_Action.prototype.targetsForFriends = function() {
-		if (this.isForOne() && !this.isForDeadFriend() &&
-			!this.isForUser()) {
-			return [this.friendsUnit().randomTarget(this.makeTgrModifier())];
+		if (this.isForOne() && !this.isForUser() && this._targetIndex < 0) {
+			return [this.randomFriendTarget()];
 		}
 		return oldGame_Action_targetsForFriends.call(this);
 	};
 
+	// Whether the skill has target rules of its own, rather than only
+	// threat to weight its targets by.
+	Game_Action.prototype.hasTgrRules = function() {
+		if (!this.isSkill()) return false;
+		let skillModifiers = this.subject().easySkillModifiersFor(this.item().id);
+		return !!skillModifiers && skillModifiers.tgr.length > 0;
+	};
+
+	// Threat is only ever held against opponents, so skills for friends
+	// are left to their rules.
 	Game_Action.prototype.makeTgrModifier = function() {
 		if (!this.isSkill()) return undefined;
 		let skill = this.item();
-		if (this.subject().friendsUnit() !== $gameTroop) {
-			return undefined;
-		}
-		let gameEnemy = this.subject();
-		if (!gameEnemy.enemy().easySkillModifiers) return undefined;
-		let skillModifiers = gameEnemy.enemy().easySkillModifiers[skill.id];
-		if (!skillModifiers) return undefined;
+		let subject = this.subject();
+		let skillModifiers = subject.easySkillModifiersFor(skill.id);
+		let threatWeighted = !this.isForFriend() && subject.isAiEnabled() && subject.aiSettings().threatWeight > 0;
+		if (!threatWeighted && !this.hasTgrRules()) return undefined;
+		skillModifiers = skillModifiers || {rating: [], tgr: [], limits: []};
 		return (availableTargets) => {
-			return gameEnemy.execEasyModifiersForTgr(
-				skillModifiers, availableTargets);
+			return subject.execEasyModifiersForTgr(
+				skillModifiers, availableTargets, this);
 		}
 	}
 
+	// Confused and berserk battlers still pick a random target, but weighted
+	// by their own target rules for the skill.
+	const oldGame_Action_confusionTarget = Game_Action.prototype.confusionTarget;
+	Game_Action.prototype.confusionTarget = function() {
+		let tgrModifier = this.makeTgrModifier();
+		if (!tgrModifier && isEngineRandom()) {
+			return oldGame_Action_confusionTarget.call(this);
+		}
+		switch (this.subject().confusionLevel()) {
+			case 1:
+				return this.opponentsUnit().randomTarget(tgrModifier);
+			case 2:
+				if (random() < 0.5) {
+					return this.opponentsUnit().randomTarget(tgrModifier);
+				}
+				return this.friendsUnit().randomTarget(tgrModifier);
+			default:
+				return this.friendsUnit().randomTarget(tgrModifier);
+		}
+	};
+
+	// Skills for the user always target the user, so their target rules
+	// have nothing to choose between.
 	const oldGame_Action_decideRandomTarget = Game_Action.prototype.decideRandomTarget
 	Game_Action.prototype.decideRandomTarget = function() {
 		var target;
-		if (this.isForFriend()) {
-			target = this.friendsUnit().randomTarget(this.makeTgrModifier());
-		} else if (!this.isForDeadFriend()) {
+		if (this.isForUser()) {
+			target = this.subject();
+		} else if (this.isForFriend()) {
+			target = this.randomFriendTarget();
+		} else {
 			target = this.opponentsUnit().randomTarget(this.makeTgrModifier());
 		}
 		if (target) {
@@ -491,150 +2702,310 @@
 		}
 	};
 
+	// A dead battler's tgr doesn't matter to RPG Maker, which chooses
+	// between fallen allies evenly; so before the rules, each counts as 1.
+	function baseTgr(member) {
+		return member.isAlive() ? member.tgr : 1;
+	}
+
+	// If the rules leave no member with any weight, e.g. when every one of
+	// them fails an "only" rule, the rules are ignored rather than the
+	// action having no target. Returns null if there are no members.
+	function weightedMember(members, tgrModifier) {
+		let chosen = tgrModifier && weightedRandom(tgrModifier(members), m => m.tgr);
+		if (!chosen) {
+			chosen = weightedRandom(members.map(member => ({member: member, tgr: baseTgr(member)})), m => m.tgr);
+		}
+		return chosen ? chosen.member : null;
+	}
+
 	const oldGame_Unit_randomTarget = Game_Unit.prototype.randomTarget;
 	Game_Unit.prototype.randomTarget = function(tgrModifier) {
-		if (tgrModifier) {
-			let membersWithModifiers = tgrModifier(this.aliveMembers());
-			console.log("Choosing at random with modified weights", membersWithModifiers);
-			let tgrSum = membersWithModifiers.reduce(function(r, m) {
-				return r + m.tgr;
-			}, 0);
-			let tgrRand = Math.random() * tgrSum;
-			let target = null;
-			membersWithModifiers.forEach(function(m) {
-				tgrRand -= m.tgr;
-				if (tgrRand <= 0 && !target) {
-					target = m.member;
-				}
-			});
-			return target;
-		} else {
+		if (!tgrModifier && isEngineRandom()) {
 			return oldGame_Unit_randomTarget.call(this);
 		}
+		return weightedMember(this.aliveMembers(), tgrModifier);
+	};
+
+	const oldGame_Unit_randomDeadTarget = Game_Unit.prototype.randomDeadTarget;
+	Game_Unit.prototype.randomDeadTarget = function(tgrModifier) {
+		if (!tgrModifier && isEngineRandom()) {
+			return oldGame_Unit_randomDeadTarget.call(this);
+		}
+		return weightedMember(this.deadMembers(), tgrModifier);
+	};
+
+	//////////////////////////////////////////////////////////////
+	// PLUGIN COMMANDS
+	//////////////////////////////////////////////////////////////
+
+	const aiCommands = {
+		addRule: (battler, args) => battler.addAiRule(args.skill, args.rule),
+		removeRule: (battler, args) => battler.removeAiRule(args.skill, args.rule),
+		setProfile: (battler, args) => battler.setAiProfile(args.profile),
+		disable: (battler) => battler.setAiEnabled(false),
+		enable: (battler) => battler.setAiEnabled(true),
+		clear: (battler) => battler.clearAiOverrides(),
+	};
+
+	// Enemies are numbered from 1 in the troop, as in the event commands;
+	// 0 means the whole troop.
+	function troopMembersFor(enemy) {
+		let index = parseInt(enemy) || 0;
+		let members = $gameTroop.members();
+		return index > 0 ? members.slice(index - 1, index) : members;
+	}
+
+	function runAiCommand(name, args) {
+		troopMembersFor(args.enemy).forEach(battler => aiCommands[name](battler, args));
+	}
+
+	if (PluginManager.registerCommand) {
+		for (const name of Object.keys(aiCommands)) {
+			PluginManager.registerCommand("LWP_AiAdjustment", name, args => runAiCommand(name, args));
+		}
+	}
+
+	// MV: AiAdjustment command enemy arguments, e.g.
+	// AiAdjustment addRule 1 <Fire I> boost 5 when me.hp low
+	const oldGame_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+	Game_Interpreter.prototype.pluginCommand = function(command, args) {
+		oldGame_Interpreter_pluginCommand.call(this, command, args);
+		if (command.toLowerCase() !== "aiadjustment") return;
+		if (args.length > 0 && args[0].toLowerCase() === "aireport") {
+			LWP_AiAdjustment.saveAiReport(args[1]);
+			return;
+		}
+		let match = /^(\w+)\s+(\d+)\s*(?:<([^>]*)>)?\s*(.*)$/.exec(args.join(" "));
+		let name = match && Object.keys(aiCommands).find(name => name.toLowerCase() === match[1].toLowerCase());
+		if (!name) {
+			console.warn("LWP_AiAdjustment: could not understand plugin command \"" + args.join(" ") + "\"");
+			return;
+		}
+		runAiCommand(name, {enemy: match[2], skill: match[3] || "", rule: match[4], profile: match[4]});
 	};
 
 	//////////////////////////////////////////////////////////////
-	// TESTS
+	// AI REPORT
 	//////////////////////////////////////////////////////////////
 
-	function easyModifiersRhsTest() {
-		function test(rhsString, comparisonValue, maxValue, expected) {
-			let result = easyModifiersRhs(rhsString)(comparisonValue, maxValue);
-			if (result !== expected) {
-				let formattedValue = maxValue ? (comparisonValue + " out of " + maxValue) : comparisonValue.toString();
-				console.log("Test failed! [" + formattedValue + " " + rhsString + "] should be " + expected);
-			}
-		}
-		test("below 2", 1, undefined, true);
-		test("below 2", 2, undefined, false);
-		test("above 1", 2, undefined, true);
-		test("above 1", 1, undefined, false);
-		test("equal 1", 1, undefined, true);
-		test("equal 1", 2, undefined, false);
-		test("not equal 2", 1, undefined, true);
-		test("not equal 2", 2, undefined, false);
-		$gameVariables = {
-			value: function(x) { return x; }
-		}
-		test("equal variable 2", 2, undefined, true);
-		test("below 20%", 1, 6, true);
-		test("below 20%", 1, 5, false);
-		test("low", 1, 5, true);
-		test("low", 4, 5, false);
-		test("high", 4, 5, true);
-		test("high", 1, 5, false);
-		test("max", 5, 5, true);
-		test("max", 4, 5, false);
-		test("zero", 0, undefined, true);
-		test("is 1", 1, undefined, true);
-		test("is 1", 2, undefined, false);
-		test("is not 1", 2, undefined, true);
-		test("is not 1", 1, undefined, false);
-		test("is 1", [0, 1, 2], undefined, true);
-		test("is 1", [2, 3], undefined, false);
-		test("is not 1", [2, 3], undefined, true);
-		test("is not 1", [0, 1, 2], undefined, false);
-		test("is on", true, undefined, true);
-		test("is on", false, undefined, false);
-		test("is off", false, undefined, true);
-		test("is off", true, undefined, false);
-		test("is not on", false, undefined, true);
-		test("is not on", true, undefined, false);
-		test("is not off", true, undefined, true);
-		test("is not off", false, undefined, false);
-		$dataStates = [null, {id: 1, name: "test state"}];
-		test("is test state", [0, 1, 2], undefined, true);
-		test("is test state", [2, 3], undefined, false);
-		test("is not test state", [2, 3], undefined, true);
-		test("is not test state", [0, 1, 2], undefined, false);
-	}
-
-	easyModifiersRhsTest();
-
-	function easyModifiersLhsTest() {
-		function test(rhsString, comparisonValue, maxValue, expected) {
-			let result = easyModifiersRhs(rhsString)(comparisonValue, maxValue);
-			if (result !== expected) {
-				let formattedValue = maxValue ? (comparisonValue + " out of " + maxValue) : comparisonValue.toString();
-				console.log("Test failed! [" + formattedValue + " " + rhsString + "] should be " + expected);
-			}
-		}
-		let self = {
-			hp: 5,
-			mhp: 8,
-			charge: 1,
-			opponentsUnit: function() {
-				return {members: function() {
-					return [{hp: 2, mhp: 2, charge: 0}, {hp: 12, mhp: 20, charge: 3}];
-				}}
-			},
-			friendsUnit: function() {
-				return {members: function() {
-					return [{hp: 1, mhp: 2, charge: 1}, {hp: 10, mhp: 12, charge: 0}];
-				}}
-			},
+	// A rule written out the same way however it was written in the note:
+	// keywords in lower case, single spaces and plain numbers.
+	function normalizedRule(rule) {
+		if (rule.cooldown !== undefined) return "cooldown " + rule.cooldown;
+		if (rule.limit !== undefined) return "limit " + rule.limit + " per " + rule.per;
+		let condition = rule.conditionText.trim().replace(/\s+/g, " ");
+		if (rule.operation === undefined) {
+			let rate = rule.only ? "only " : rule.multiplier === null ? "" : rule.multiplier + "x ";
+			return "target " + rate + condition;
+		}
+		switch (rule.operation) {
+			case "boost": return (rule.amount < 0 ? "nerf " + -rule.amount : "boost " + rule.amount) + " when " + condition;
+			case "scale": return "scale " + rule.amount + "x when " + condition;
+			case "set": return "set " + rule.amount + " when " + condition;
+			default: return rule.operation + " when " + condition;
+		}
+	}
+
+	// What the database says about an enemy's AI: its action patterns, with
+	// the rules from its own note and its profiles that apply to each, and
+	// any problems with those notes. Rules from troops and states depend on
+	// the battle, so they aren't included.
+	function enemyAiReport(enemy) {
+		let battler = new Game_Enemy(enemy.id, 0, 0);
+		let sources = expandAiProfiles([enemy]);
+		let blocks = [].concat(...sources.map(source => (source.easySkillModifiers || []).map(block => ({source, block}))));
+		let usesBlock = (skill, block) => !!skill && block.selector(skill, battler);
+		let actions = enemy.actions.map(action => {
+			let skill = $dataSkills[action.skillId];
+			let rules = [];
+			for (const {source, block} of blocks.filter(({block}) => usesBlock(skill, block))) {
+				let from = "<skill-ai " + block.header + ">" + (source === enemy ? "" : " in profile " + source.name);
+				for (const rule of [].concat(block.rating, block.tgr, block.limits)) {
+					rules.push({rule: normalizedRule(rule), from});
+				}
+			}
+			return {skillId: action.skillId, skill: skill ? skill.name : null, rating: action.rating, rules};
+		});
+		let warnings = notetagProblems.filter(problem => sources.includes(problem.object)).map(formatInvalidRule);
+		blocks
+			.filter(({source, block}) => source === enemy &&
+				!enemy.actions.some(action => usesBlock($dataSkills[action.skillId], block)))
+			.forEach(({block}) => warnings.push("None of the enemy's actions use the rules in <skill-ai " + block.header + ">"));
+		let settings = {};
+		for (const {key} of aiSettingDefinitions) {
+			if (enemy.aiSettings && enemy.aiSettings[key] !== defaultAiSettings[key]) {
+				settings[key] = enemy.aiSettings[key];
+			}
+		}
+		return {
+			id: enemy.id,
+			name: enemy.name,
+			profiles: sources.filter(source => source !== enemy).map(source => source.name),
+			settings,
+			actions,
+			warnings,
 		};
+	}
 
-		function testCall(expression, valueSelector, expectedArray) {
-			let {evaluator, rhs} = easyModifiersLhs(self, expression);
-			let calls = [];
-			evaluator((value, valueMax, min, max) => {
-				calls.push({value, valueMax, min, max});
-				return false; // forces all in sequence to be called
-			});
-			let result = calls.map(call => call[valueSelector]);
-			if (JSON.stringify(result) !== JSON.stringify(expectedArray)) {
-				console.log("Call sequence of " + valueSelector + " for [" + expression + "] should be " + expectedArray + " but was " + result);
+	function markdownAiReport(report) {
+		let lines = ["# AI report"];
+		for (const enemy of report) {
+			lines.push("", "## " + enemy.id + ": " + enemy.name, "");
+			if (enemy.profiles.length > 0) {
+				lines.push("Profiles: " + enemy.profiles.join(", "), "");
+			}
+			let settings = Object.keys(enemy.settings);
+			if (settings.length > 0) {
+				lines.push("Settings: " + settings.map(key => key + " " + enemy.settings[key]).join(", "), "");
+			}
+			if (enemy.actions.length === 0) {
+				lines.push("No actions.");
+			}
+			for (const action of enemy.actions) {
+				lines.push("- " + (action.skill === null ? "skill " + action.skillId : action.skill) + ", rating " + action.rating);
+				action.rules.forEach(({rule, from}) => lines.push("  - `" + rule + "` from " + from));
+			}
+			if (enemy.warnings.length > 0) {
+				lines.push("", "Warnings:", "");
+				enemy.warnings.forEach(warning => lines.push("- " + warning));
 			}
 		}
+		return lines.join("\n") + "\n";
+	}
 
-		testCall("ally.hp low", "value", [1, 10]);
-		testCall("ally.hp low", "valueMax", [2, 12]);
-		testCall("ally.hp low", "min", [1, 1]);
-		testCall("ally.hp low", "max", [10, 10]);
+	// A report of the AI of every enemy in the database, as Markdown or
+	// (with "json") JSON. Unused database entries, with no name and no
+	// actions, are left out.
+	LWP_AiAdjustment.aiReport = function(format) {
+		let report = $dataEnemies
+			.filter(enemy => enemy && (enemy.name || enemy.actions.length > 0))
+			.map(enemyAiReport);
+		if (/^\s*json\s*$/i.test(format || "")) {
+			return JSON.stringify(report, null, 2) + "\n";
+		}
+		return markdownAiReport(report);
+	};
 
-		testCall("me.hp low", "value", [5]);
-		testCall("me.hp low", "valueMax", [8]);
-		testCall("me.hp low", "min", [5]);
-		testCall("me.hp low", "max", [5]);
+	// Saves the report as ai-report.md or ai-report.json in the game
+	// folder and returns the file's path. Only a playtest on a computer can
+	// save files; anywhere else the report goes to the console instead.
+	LWP_AiAdjustment.saveAiReport = function(format) {
+		let json = /^\s*json\s*$/i.test(format || "");
+		let report = LWP_AiAdjustment.aiReport(json ? "json" : "markdown");
+		if (!Utils.isNwjs() || !$gameTemp || !$gameTemp.isPlaytest()) {
+			console.log(report);
+			return null;
+		}
+		const fs = require("fs");
+		const path = require("path");
+		let file = path.join(path.dirname(process.mainModule.filename), json ? "ai-report.json" : "ai-report.md");
+		fs.writeFileSync(file, report);
+		return file;
+	};
 
-		testCall("enemy.charge low", "value", [0, 3]);
-		testCall("enemy.charge low", "valueMax", [undefined, undefined]);
-		testCall("enemy.charge low", "min", [0, 0]);
-		testCall("enemy.charge low", "max", [3, 3]);
+	if (PluginManager.registerCommand) {
+		PluginManager.registerCommand("LWP_AiAdjustment", "aiReport", args => LWP_AiAdjustment.saveAiReport(args.format));
+	}
 
-		function integrationTest(expression, expectedResult) {
-			let {evaluator, rhs} = easyModifiersLhs(self, expression);
-			let result = evaluator(easyModifiersRhs(rhs));
-			if (result !== expectedResult) {
-				console.log("Test failed: [" + expression + "] should be " + expectedResult + ", was " + result);
-			}
+	//////////////////////////////////////////////////////////////
+	// INSPECTOR
+	//////////////////////////////////////////////////////////////
+
+	// A playtest-only window showing how the acting enemy (or, between
+	// actions, whoever chose last) came to its choices.
+	const inspectorKey = parseInt(pluginParameters["Inspector Key"] || "118");
+	if (inspectorKey > 0) {
+		Input.keyMapper[inspectorKey] = "lwpAiInspector";
+	}
+
+	function inspectedBattler() {
+		let subject = BattleManager._subject;
+		return subject && battleMemory.decisions.has(subject) ? subject : battleMemory.lastDecider;
+	}
+
+	function inspectorLines() {
+		let battler = inspectedBattler();
+		let decision = battler && battleMemory.decisions.get(battler);
+		if (!decision) {
+			return ["No choices have been made yet."];
 		}
-		integrationTest("enemy.hp low", false);
-		integrationTest("enemy.hp high", true);
-		integrationTest("all enemy.hp high", false);
-		integrationTest("me.charge", true);
+		let lines = [describeBattler(battler)];
+		decision.actions.forEach(actions => {
+			lines.push(decision.actions.length > 1 ? "Action " + (actions.slot + 1) + ":" : "Actions:");
+			actions.actions.forEach(action => {
+				lines.push("  " + describeSkill(action.skillId) + ": " + action.baseRating + " -> " + action.rating +
+					(action.forbidden ? " (forbidden)" : action.forced ? " (forced)" : ""));
+				action.rules.forEach(rule => lines.push("    " + rule));
+			});
+		});
+		decision.targets.forEach(targets => {
+			lines.push("Targets for " + describeSkill(targets.skillId) + ":");
+			targets.weights.forEach(({member, tgr}, i) => {
+				lines.push("  " + member.name() + ": " + targets.baseTgrs[i] + " -> " + tgr);
+				targets.rules.forEach(({rule, results}) => lines.push("    " + rule + (results[i] ? ": yes" : ": no")));
+			});
+		});
+		return lines;
+	}
+
+	function Window_AiInspector() {
+		this.initialize.apply(this, arguments);
 	}
-	easyModifiersLhsTest();
+
+	Window_AiInspector.prototype = Object.create(Window_Base.prototype);
+	Window_AiInspector.prototype.constructor = Window_AiInspector;
+
+	Window_AiInspector.prototype.initialize = function() {
+		let width = Math.floor(Graphics.boxWidth * 2 / 3);
+		let height = Math.floor(Graphics.boxHeight * 2 / 3);
+		if (Utils.RPGMAKER_NAME === "MZ") {
+			Window_Base.prototype.initialize.call(this, new Rectangle(0, 0, width, height));
+		} else {
+			Window_Base.prototype.initialize.call(this, 0, 0, width, height);
+		}
+		this._shownVersion = -1;
+		this._shownBattler = null;
+		this.hide();
+	};
+
+	Window_AiInspector.prototype.update = function() {
+		Window_Base.prototype.update.call(this);
+		if (this.visible && (this._shownVersion !== decisionsVersion || this._shownBattler !== inspectedBattler())) {
+			this.refresh();
+		}
+	};
+
+	Window_AiInspector.prototype.refresh = function() {
+		const lineHeight = 20;
+		this._shownVersion = decisionsVersion;
+		this._shownBattler = inspectedBattler();
+		this.contents.clear();
+		this.contents.fontSize = 16;
+		inspectorLines().forEach((line, i) => {
+			this.contents.drawText(line, 0, i * lineHeight, this.contentsWidth(), lineHeight);
+		});
+	};
+
+	const oldScene_Battle_createAllWindows = Scene_Battle.prototype.createAllWindows;
+	Scene_Battle.prototype.createAllWindows = function() {
+		oldScene_Battle_createAllWindows.call(this);
+		if ($gameTemp.isPlaytest()) {
+			this._aiInspectorWindow = new Window_AiInspector();
+			this.addWindow(this._aiInspectorWindow);
+		}
+	};
+
+	const oldScene_Battle_update = Scene_Battle.prototype.update;
+	Scene_Battle.prototype.update = function() {
+		oldScene_Battle_update.call(this);
+		if (this._aiInspectorWindow && Input.isTriggered("lwpAiInspector")) {
+			if (this._aiInspectorWindow.visible) {
+				this._aiInspectorWindow.hide();
+			} else {
+				this._aiInspectorWindow.show();
+			}
+		}
+	};
 
 })();
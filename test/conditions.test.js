@@ -0,0 +1,275 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, rateSkill} = require("./rpgmaker");
+
+// Whether "boost 1 when condition" applies to the first enemy's Attack, in
+// a battle set up with the given enemies and actors. prepare can change
+// switches and variables once the battle has started.
+function holds(condition, {enemies = [{}], actors = [{}], prepare} = {}) {
+	loadPlugin({enemies: [{name: "Slime", note: `<skill-ai Attack>\nboost 1 when ${condition}\n</skill-ai>`}]});
+	let battle = startBattle({enemies, actors});
+	if (prepare) prepare(battle);
+	return rateSkill(battle.enemies[0], 1).rating === 6;
+}
+
+test("compares numbers", () => {
+	assert.equal(holds("me.atk below 11"), true);
+	assert.equal(holds("me.atk below 10"), false);
+	assert.equal(holds("me.atk above 9"), true);
+	assert.equal(holds("me.atk above 10"), false);
+	assert.equal(holds("me.atk equal 10"), true);
+	assert.equal(holds("me.atk equal 11"), false);
+	assert.equal(holds("me.atk not equal 11"), true);
+	assert.equal(holds("me.atk not equal 10"), false);
+	assert.equal(holds("me.atk above 9.5"), true);
+});
+
+test("compares with variables", () => {
+	let setVariable = () => { $gameVariables._data[2] = 10; };
+	assert.equal(holds("me.atk equal variable 2", {prepare: setVariable}), true);
+	assert.equal(holds("me.atk below variable 2", {prepare: setVariable}), false);
+});
+
+test("uses a variable as the subject", () => {
+	let setVariable = () => { $gameVariables._data[3] = 7; };
+	assert.equal(holds("variable 3 above 5", {prepare: setVariable}), true);
+	assert.equal(holds("variable 3 below 5", {prepare: setVariable}), false);
+	assert.equal(holds("variable 3 equal 7", {prepare: setVariable}), true);
+});
+
+test("uses a switch as the subject", () => {
+	let setSwitch = () => { $gameSwitches._data[4] = true; };
+	assert.equal(holds("switch 4 is on", {prepare: setSwitch}), true);
+	assert.equal(holds("switch 4 is off", {prepare: setSwitch}), false);
+	assert.equal(holds("switch 4 is not on", {prepare: setSwitch}), false);
+	assert.equal(holds("switch 5 is off", {prepare: setSwitch}), true);
+	assert.equal(holds("switch 5 is not off", {prepare: setSwitch}), false);
+});
+
+test("compares percentages of hp and mp", () => {
+	assert.equal(holds("me.hp below 20%", {enemies: [{hp: 19}]}), true);
+	assert.equal(holds("me.hp below 20%", {enemies: [{hp: 20}]}), false);
+	assert.equal(holds("me.mp above 50%", {enemies: [{mp: 30}]}), true);
+});
+
+test("compares with decimal percentages and ranges", () => {
+	assert.equal(holds("me.hp below 12.5%", {enemies: [{hp: 12}]}), true);
+	assert.equal(holds("me.hp below 12.5%", {enemies: [{hp: 13}]}), false);
+	assert.equal(holds("me.hp between 20% and 50%", {enemies: [{hp: 20}]}), true);
+	assert.equal(holds("me.hp between 20% and 50%", {enemies: [{hp: 51}]}), false);
+	assert.equal(holds("me.hp not between 20% and 50% and me.mp max", {enemies: [{hp: 51}]}), true);
+	assert.equal(holds("me.tp above 50%", {enemies: [{tp: 60}]}), true);
+	assert.equal(holds("me.tp low", {enemies: [{tp: 30}]}), true);
+});
+
+test("compares with properties and arithmetic", () => {
+	let setVariable = () => { $gameVariables._data[3] = 6; };
+	assert.equal(holds("me.hp above me.atk", {enemies: [{hp: 11}]}), true);
+	assert.equal(holds("me.hp above me.atk", {enemies: [{hp: 10}]}), false);
+	assert.equal(holds("me.atk below variable 3 * 2", {prepare: setVariable}), true);
+	assert.equal(holds("me.atk below variable 3 + 2 * 2", {prepare: setVariable}), false);
+	assert.equal(holds("me.atk equal variable 3 * (2 + 1) - 8", {prepare: setVariable}), true);
+	assert.equal(holds("ally.hp below .mhp / 2", {enemies: [{}, {hp: 49}]}), true);
+	assert.equal(holds("ally.hp below .mhp / 2", {enemies: [{}, {hp: 50}]}), false);
+	assert.equal(holds("variable 3 equal me.buff atk + 6", {prepare: setVariable}), true);
+});
+
+test("understands low, high, max and zero", () => {
+	assert.equal(holds("me.hp low", {enemies: [{hp: 30}]}), true);
+	assert.equal(holds("me.hp low", {enemies: [{hp: 40}]}), false);
+	assert.equal(holds("me.hp high", {enemies: [{hp: 70}]}), true);
+	assert.equal(holds("me.hp high", {enemies: [{hp: 60}]}), false);
+	assert.equal(holds("me.hp max"), true);
+	assert.equal(holds("me.hp max", {enemies: [{hp: 99}]}), false);
+	assert.equal(holds("me.tp zero"), true);
+	assert.equal(holds("me.charge low", {enemies: [{charge: 2}]}), true);
+	assert.equal(holds("me.charge high", {enemies: [{charge: 6}]}), true);
+	assert.equal(holds("me.charge high", {enemies: [{charge: 5}]}), false);
+});
+
+test("checks states by name or ID", () => {
+	let poisoned = {enemies: [{_states: [3]}]};
+	assert.equal(holds("me.state is Poison", poisoned), true);
+	assert.equal(holds("me.state is 3", poisoned), true);
+	assert.equal(holds("me.state is not Poison", poisoned), false);
+	assert.equal(holds("me.state is Guard", poisoned), false);
+	assert.equal(holds("me.state is not Guard", poisoned), true);
+});
+
+test("checks for dead battlers", () => {
+	let oneDead = {enemies: [{}, {hp: 0}]};
+	assert.equal(holds("ally is dead", oneDead), true);
+	assert.equal(holds("ally is dead"), false);
+	assert.equal(holds("all ally is not dead", oneDead), false);
+	assert.equal(holds("all ally is not dead"), true);
+});
+
+test("looks at allies, enemies or only me", () => {
+	let battle = {enemies: [{hp: 100}, {hp: 10}], actors: [{hp: 100}, {hp: 20}]};
+	assert.equal(holds("ally.hp low", battle), true);
+	assert.equal(holds("all ally.hp low", battle), false);
+	assert.equal(holds("me.hp low", battle), false);
+	assert.equal(holds("enemy.hp low", battle), true);
+	assert.equal(holds("all enemy.hp above 10", battle), true);
+});
+
+test("counts turns and battlers", () => {
+	let battle = {
+		enemies: [{}, {}, {hp: 0}],
+		actors: [{}, {hp: 0}],
+		prepare: () => { $gameTroop._turnCount = 4; },
+	};
+	assert.equal(holds("turn above 3", battle), true);
+	assert.equal(holds("turn equal 4", battle), true);
+	assert.equal(holds("count ally equal 2", battle), true);
+	assert.equal(holds("count dead ally equal 1", battle), true);
+	assert.equal(holds("count enemy equal 1", battle), true);
+	assert.equal(holds("count dead enemy above 1", battle), false);
+});
+
+test("combines conditions with and, or, not and brackets", () => {
+	let battle = {enemies: [{hp: 10}], prepare: () => { $gameSwitches._data[1] = true; }};
+	assert.equal(holds("me.hp low and switch 1 is on", battle), true);
+	assert.equal(holds("me.hp low and switch 2 is on", battle), false);
+	assert.equal(holds("me.hp high or switch 1 is on", battle), true);
+	assert.equal(holds("not me.hp low", battle), false);
+	assert.equal(holds("me.hp high and switch 2 is off or switch 1 is on", battle), true);
+	assert.equal(holds("me.hp high and (switch 2 is off or switch 1 is on)", battle), false);
+	assert.equal(holds("not (me.hp high or switch 2 is on)", battle), true);
+});
+
+test("works out weakness and expected damage of the skill being rated", () => {
+	let weak = {actors: [{_elementRates: {1: 2}}]};
+	assert.equal(holds("enemy.weakness above 1", weak), true);
+	assert.equal(holds("enemy.weakness above 1"), false);
+	// Attack has power 10; variance is left out, so this never changes.
+	for (let i = 0; i < 20; i++) {
+		assert.equal(holds("enemy.expected damage equal 20", weak), true);
+	}
+	assert.equal(holds("enemy.expected damage lethal", {actors: [{hp: 10}]}), true);
+	assert.equal(holds("enemy.expected damage lethal", {actors: [{hp: 11}]}), false);
+});
+
+test("compares MP damage with the target's MP", () => {
+	let mpDamage = () => { $dataSkills[1].damage.type = 2; };
+	assert.equal(holds("enemy.expected damage lethal", {actors: [{hp: 100, mp: 10}], prepare: mpDamage}), true);
+	assert.equal(holds("enemy.expected damage lethal", {actors: [{hp: 10, mp: 11}], prepare: mpDamage}), false);
+});
+
+test("reports lethal and is dead where they can't work", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		for (const condition of ["turn lethal", "count ally lethal", "me.hp lethal", "variable 2 is dead", "me.hp is dead"]) {
+			assert.equal(holds(condition), false, condition);
+		}
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(warnings.length, 5);
+	assert.match(warnings[0], /"lethal" only works with .expected damage/);
+	assert.match(warnings[3], /"is dead" only works with battlers/);
+});
+
+test("reports percentages of things without a maximum", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		for (const condition of ["me.atk below 50%", "me.atk not equal 50%", "variable 2 above 10%", "enemy.threat between 10% and 20%"]) {
+			assert.equal(holds(condition), false, condition);
+		}
+		assert.equal(holds("me.hp above 50%"), true);
+		assert.equal(holds("me.buff atk below 50%"), true);
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(warnings.length, 4);
+	assert.match(warnings[0], /"boost 1 when me.atk below 50%" - Percentages only work for properties with a maximum/);
+});
+
+test("reads buffs, debuffs, element rates and state rates", () => {
+	assert.equal(holds("me.buff atk equal 2", {enemies: [{_buffs: [0, 0, 2]}]}), true);
+	assert.equal(holds("me.debuff atk above 0", {enemies: [{_buffs: [0, 0, 2]}]}), false);
+	assert.equal(holds("me.debuff def max", {enemies: [{_buffs: [0, 0, 0, -2]}]}), true);
+	assert.equal(holds("enemy.elementRate Fire above 1", {actors: [{_elementRates: {2: 1.5}}]}), true);
+	assert.equal(holds("enemy.elementRate 2 above 1"), false);
+	assert.equal(holds("enemy.stateRate Poison zero", {actors: [{_stateRates: {3: 0}}]}), true);
+});
+
+test("uses the low and high thresholds from the parameters", () => {
+	let hpLow = (hp, parameters) => {
+		loadPlugin({parameters, enemies: [{note: "<skill-ai Attack>\nboost 1 when me.hp low\nboost 2 when me.charge high\n</skill-ai>"}]});
+		let enemy = startBattle({enemies: [{hp, charge: 7}]}).enemies[0];
+		return rateSkill(enemy, 1).rating;
+	};
+	assert.equal(hpLow(30, {}), 8);
+	assert.equal(hpLow(30, {"Low Fraction": "25%"}), 7);
+	assert.equal(hpLow(24, {"Low Fraction": "1/4"}), 8);
+	assert.equal(hpLow(24, {"Low Fraction": "0.25", "High Number": "7"}), 6);
+});
+
+test("uses an enemy's own thresholds", () => {
+	loadPlugin({enemies: [
+		{note: "<ai-low-fraction 1/2>\n<ai-low-number 10>\n<skill-ai Attack>\nboost 1 when me.hp low\nboost 2 when me.charge low\n</skill-ai>"},
+		{note: "<skill-ai Attack>\nboost 1 when me.hp low\nboost 2 when me.charge low\n</skill-ai>"},
+	]});
+	let [tough, normal] = startBattle({enemies: [{hp: 40, charge: 5}, {_enemyId: 2, hp: 40, charge: 5}]}).enemies;
+	assert.equal(rateSkill(tough, 1).rating, 8);
+	assert.equal(rateSkill(normal, 1).rating, 5);
+});
+
+test("reports thresholds anywhere but an enemy's or actor's note", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		loadPlugin({
+			enemies: [{note: "<skill-ai Attack>\nboost 1 when me.hp low\n</skill-ai>"}],
+			states: [{name: "Dead"}, {name: "Weary", note: "<ai-low-fraction 1/2>"}],
+			classes: [{note: "<ai-high-number 1>"}],
+		});
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(warnings.length, 2);
+	assert.match(warnings[0], /Class 1 \(Class\), line 1: "<ai-high-number 1>" - AI settings only work in enemy and actor notes/);
+	assert.match(warnings[1], /State 2 \(Weary\)/);
+	let enemy = startBattle({enemies: [{hp: 40, _states: [2]}]}).enemies[0];
+	assert.equal(rateSkill(enemy, 1).rating, 5);
+});
+
+test("uses properties and comparisons registered by other plugins", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	let api;
+	try {
+		api = loadPlugin({
+			otherPlugins: (api) => {
+				api.registerProperty("stagger gauge", battler => battler._stagger, () => 10);
+				api.registerComparison("within", (value, max, operand) => Math.abs(value) <= operand);
+			},
+			enemies: [{note: `<skill-ai Attack>
+boost 1 when me.stagger gauge above 50%
+boost 10 when me.stagger gauge within 2
+target only .stagger gauge max
+</skill-ai>`}],
+		});
+	} finally {
+		console.warn = warn;
+	}
+	assert.deepEqual(warnings, []);
+	let {enemies, actors} = startBattle({enemies: [{_stagger: 6}], actors: [{_stagger: 3}, {_stagger: 10}]});
+	assert.equal(rateSkill(enemies[0], 1).rating, 6);
+	enemies[0]._stagger = -1;
+	assert.equal(rateSkill(enemies[0], 1).rating, 15);
+	let action = new Game_Action(enemies[0]);
+	action.setSkill(1);
+	assert.deepEqual(action.makeTgrModifier()(actors).map(({tgr}) => tgr), [0, 1]);
+	assert.throws(() => api.registerProperty("hp", () => 0), /built-in/);
+	assert.throws(() => api.registerComparison("low", () => true), /built-in/);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, makeAction, makeActions} = require("./rpgmaker");
+
+const coordinated = {"Troop Coordination": "true"};
+
+// The targets of each enemy's first action once every enemy has chosen.
+function chooseTargets(enemies) {
+	for (const enemy of enemies) {
+		enemy.selectAllActions([{skillId: 1, rating: 5}]);
+	}
+	return enemies.map(enemy => enemy.action(0)._targetIndex);
+}
+
+test("lets later enemies see who is already targeted", () => {
+	let note = "<skill-ai Attack>\ntarget only not already targeted\n</skill-ai>";
+	for (let seed = 1; seed <= 10; seed++) {
+		loadPlugin({parameters: coordinated, enemies: [{note}]});
+		LWP_AiAdjustment.setRandomSeed(seed);
+		let {enemies} = startBattle({enemies: [{}, {}], actors: [{}, {}]});
+		let [first, second] = chooseTargets(enemies);
+		assert.notEqual(first, second);
+	}
+});
+
+test("works out hp after the pending damage", () => {
+	loadPlugin({parameters: coordinated, enemies: [
+		{note: "<skill-ai Attack>\ntarget only .hp low\n</skill-ai>"},
+		{note: "<skill-ai Attack>\ntarget only .hp after pending above 0\n</skill-ai>"},
+	]});
+	let {enemies, actors} = startBattle({enemies: [{}, {_enemyId: 2}], actors: [{hp: 10}, {}]});
+	assert.deepEqual(chooseTargets(enemies), [0, 1]);
+	let action = makeAction(enemies[1], 1);
+	assert.deepEqual(action.makeTgrModifier()(actors).map(({tgr}) => tgr), [0, 1]);
+});
+
+test("forgets pending actions once they're used", () => {
+	let note = "<skill-ai Attack>\ntarget only .hp after pending above 0\n</skill-ai>";
+	loadPlugin({parameters: coordinated, enemies: [{note}]});
+	let {enemies, actors} = startBattle({enemies: [{}, {}], actors: [{hp: 10}, {hp: 10}]});
+	chooseTargets(enemies.slice(0, 1));
+	let action = makeAction(enemies[1], 1);
+	assert.equal(action.makeTgrModifier()(actors).filter(({tgr}) => tgr > 0).length, 1);
+	enemies[0].removeCurrentAction();
+	assert.equal(action.makeTgrModifier()(actors).filter(({tgr}) => tgr > 0).length, 2);
+	chooseTargets([makeActions(enemies[0])]);
+	enemies[0].clearActions();
+	assert.equal(action.makeTgrModifier()(actors).filter(({tgr}) => tgr > 0).length, 2);
+});
+
+test("coordinates only when asked to", () => {
+	let note = "<skill-ai Attack>\ntarget only not already targeted\n</skill-ai>";
+	let comment = (text) => ({pages: [{list: [{code: 108, parameters: [text]}]}]});
+	loadPlugin({enemies: [{note}], troops: [comment("<ai-coordinate>"), comment("")]});
+	let pending = (troopId) => {
+		let {enemies, actors} = startBattle({enemies: [{}], actors: [{}], troopId});
+		chooseTargets(enemies);
+		return makeAction(enemies[0], 1).makeTgrModifier()(actors)[0].tgr;
+	};
+	assert.equal(pending(1), 0);
+	assert.equal(pending(2), 1);
+});
+
+test("leaves out actions with no one to target", () => {
+	loadPlugin({parameters: coordinated, enemies: [{}]});
+	let enemy = startBattle({enemies: [{}], actors: [{}]}).enemies[0];
+	// Raise, with no one dead to revive.
+	enemy.selectAllActions([{skillId: 6, rating: 5}]);
+	assert.equal(enemy.action(0).item(), null);
+});
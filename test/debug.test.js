@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, makeAction} = require("./rpgmaker");
+
+const note = "<skill-ai Attack>\nboost 1 when me.hp max\ntarget only .hp lowest\n</skill-ai>";
+
+// Everything logged while each enemy chooses an action and a target, with
+// the given plugin parameters; each entry is the arguments of one call.
+function logged(parameters) {
+	loadPlugin({parameters, enemies: [{note}, {note}]});
+	let {enemies, actors} = startBattle({
+		enemies: [{_name: "Slime"}, {_name: "Bat", _enemyId: 2}],
+		actors: [{_name: "Reid"}, {_name: "Priscilla", hp: 10}],
+	});
+	let calls = [];
+	let log = console.log;
+	console.log = (...args) => calls.push(args);
+	try {
+		for (const enemy of enemies) {
+			enemy.selectAllActions([{skillId: 1, rating: 5}]);
+			makeAction(enemy, 1).makeTgrModifier()(actors);
+		}
+	} finally {
+		console.log = log;
+	}
+	return calls;
+}
+
+test("logs nothing when off", () => {
+	assert.deepEqual(logged({}), []);
+	assert.deepEqual(logged({"Debug Log": "off", "Debug Enemies": "1"}), []);
+});
+
+test("logs a line per choice in summary", () => {
+	assert.deepEqual(logged({"Debug Log": "summary"}), [
+		["[AI] Slime (enemy 1) chooses from: Attack 5 -> 6"],
+		["[AI] Slime (enemy 1) target weights for Attack: Reid 1 -> 0, Priscilla 1 -> 1"],
+		["[AI] Bat (enemy 2) chooses from: Attack 5 -> 6"],
+		["[AI] Bat (enemy 2) target weights for Attack: Reid 1 -> 0, Priscilla 1 -> 1"],
+	]);
+});
+
+test("adds the rules and details when verbose", () => {
+	let calls = logged({"Debug Log": "verbose"});
+	assert.equal(calls.length, 4);
+	assert.equal(calls[0][0], "[AI] Slime (enemy 1) chooses from: Attack 5 -> 6\n  Attack: boost 1 when me.hp max");
+	assert.equal(calls[0][1].slot, 0);
+	assert.equal(calls[0][1].actions[0].rating, 6);
+	assert.equal(calls[1][0], "[AI] Slime (enemy 1) target weights for Attack: Reid 1 -> 0, Priscilla 1 -> 1\n" +
+		"  target only .hp lowest: Reid no, Priscilla yes");
+	assert.deepEqual(calls[1][1].baseTgrs, [1, 1]);
+});
+
+test("logs only the enemies asked for", () => {
+	let calls = logged({"Debug Log": "summary", "Debug Enemies": "2"});
+	assert.deepEqual(calls, [
+		["[AI] Bat (enemy 2) chooses from: Attack 5 -> 6"],
+		["[AI] Bat (enemy 2) target weights for Attack: Reid 1 -> 0, Priscilla 1 -> 1"],
+	]);
+	LWP_AiAdjustment.setDebugLog("summary", [1]);
+	let enemy = $gameTroop.members()[1];
+	let log = console.log;
+	let lines = [];
+	console.log = (...args) => lines.push(args);
+	try {
+		enemy.selectAllActions([{skillId: 1, rating: 5}]);
+	} finally {
+		console.log = log;
+	}
+	assert.deepEqual(lines, []);
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {loadPlugin, startBattle, rateSkill} = require("./rpgmaker");
+const {settingParameters, parameterDefault, updateDefaults} = require("../tools/update-defaults");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "LWP_AiAdjustment.js"), "utf8").replace(/\r\n/g, "\n");
+
+test("the help and built-in defaults are up to date with the parameters", () => {
+	assert.equal(updateDefaults(source), source, "run npm run update-defaults");
+	for (const name of settingParameters) {
+		assert.match(source, new RegExp(name + " \\([^()]* by default\\)"), name);
+	}
+});
+
+test("the parameter defaults are used when the parameters are missing", () => {
+	let ratings = (parameters) => {
+		loadPlugin({parameters, enemies: [{note: `<skill-ai Attack>
+boost 1 when me.hp low
+boost 2 when me.hp high
+boost 4 when me.charge low
+boost 8 when me.charge high
+</skill-ai>
+<skill-ai Fire I>
+target .hp low
+</skill-ai>`}]});
+		let {enemies} = startBattle({enemies: [{}], actors: [{hp: 10}]});
+		let enemy = enemies[0];
+		let results = [];
+		for (const hp of [0, 32, 33, 34, 66, 67, 100]) {
+			for (const charge of [2, 3, 5, 6]) {
+				Object.assign(enemy, {hp, charge});
+				results.push(rateSkill(enemy, 1).rating);
+			}
+		}
+		let action = new Game_Action(enemy);
+		action.setSkill(3);
+		results.push(action.makeTgrModifier()($gameParty.aliveMembers())[0].tgr);
+		return results;
+	};
+	let defaults = {};
+	for (const name of settingParameters) {
+		defaults[name] = parameterDefault(source, name);
+	}
+	assert.deepEqual(ratings({}), ratings(defaults));
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, makeAction} = require("./rpgmaker");
+
+const note = "<skill-ai Attack>\nboost 1 when me.hp max\ntarget only .hp lowest\n</skill-ai>";
+
+// Starts a battle between two enemies and two actors, in a playtest unless
+// told otherwise, with the battle scene's windows made.
+function playtest({playtest = true, enemies = [{_name: "Slime"}, {_name: "Bat"}]} = {}) {
+	loadPlugin({enemies: [{note}]});
+	$gameTemp.isPlaytest = () => playtest;
+	let battle = startBattle({enemies, actors: [{_name: "Reid"}, {_name: "Priscilla", hp: 10}]});
+	battle.scene = new Scene_Battle();
+	battle.scene.createAllWindows();
+	return battle;
+}
+
+// The inspector's lines once the inspector key has been pressed.
+function inspect(scene) {
+	let window = scene._aiInspectorWindow;
+	if (!window.visible) {
+		Input.isTriggered = (name) => name === "lwpAiInspector";
+		scene.update();
+		Input.isTriggered = () => false;
+	}
+	window.update();
+	return window.contents.lines;
+}
+
+test("shows the choices of whoever chose last", () => {
+	let {enemies, actors, scene} = playtest();
+	assert.deepEqual(inspect(scene), ["No choices have been made yet."]);
+	enemies[0].selectAllActions([{skillId: 1, rating: 5}]);
+	makeAction(enemies[0], 1).makeTgrModifier()(actors);
+	enemies[1].selectAllActions([{skillId: 3, rating: 5}]);
+	assert.deepEqual(inspect(scene), ["Bat (enemy 1)", "Actions:", "  Fire I: 5 -> 5"]);
+	assert.deepEqual(scene._windows, [scene._aiInspectorWindow]);
+});
+
+test("shows the acting battler's choices while it acts", () => {
+	let {enemies, actors, scene} = playtest();
+	enemies[0].selectAllActions([{skillId: 1, rating: 5}]);
+	makeAction(enemies[0], 1).makeTgrModifier()(actors);
+	enemies[1].selectAllActions([{skillId: 3, rating: 5}]);
+	BattleManager._subject = enemies[0];
+	assert.deepEqual(inspect(scene), [
+		"Slime (enemy 1)",
+		"Actions:",
+		"  Attack: 5 -> 6",
+		"    boost 1 when me.hp max",
+		"Targets for Attack:",
+		"  Reid: 1 -> 0",
+		"    target only .hp lowest: no",
+		"  Priscilla: 1 -> 1",
+		"    target only .hp lowest: yes",
+	]);
+	BattleManager._subject = actors[0];
+	assert.equal(inspect(scene)[0], "Bat (enemy 1)");
+});
+
+test("starts a new decision with each turn's first action", () => {
+	let {enemies, scene} = playtest({enemies: [{_name: "Slime", _numActions: 2}]});
+	let enemy = enemies[0];
+	enemy.selectAllActions([{skillId: 3, rating: 5}]);
+	enemy.selectAllActions([{skillId: 1, rating: 5}]);
+	assert.deepEqual(inspect(scene), [
+		"Slime (enemy 1)",
+		"Action 1:",
+		"  Attack: 5 -> 6",
+		"    boost 1 when me.hp max",
+		"Action 2:",
+		"  Attack: 5 -> 6",
+		"    boost 1 when me.hp max",
+	]);
+});
+
+test("only records and shows choices in a playtest", () => {
+	let {enemies, scene} = playtest({playtest: false});
+	assert.equal(scene._aiInspectorWindow, undefined);
+	enemies[0].selectAllActions([{skillId: 1, rating: 5}]);
+	$gameTemp.isPlaytest = () => true;
+	scene.createAllWindows();
+	assert.deepEqual(inspect(scene), ["No choices have been made yet."]);
+});
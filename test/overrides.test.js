@@ -0,0 +1,111 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, rateSkill, makeAction} = require("./rpgmaker");
+
+const profiles = JSON.stringify([
+	{Name: "Calm", Rules: JSON.stringify("<skill-ai Attack>\nboost 1 when me.hp max\n</skill-ai>")},
+	{Name: "Enraged", Rules: JSON.stringify("<skill-ai Attack>\nboost 10 when me.hp max\n</skill-ai>")},
+].map(profile => JSON.stringify(profile)));
+
+function boss() {
+	loadPlugin({
+		parameters: {"AI Profiles": profiles},
+		enemies: [{name: "Dragon", note: "<ai-profile Calm>\n<skill-ai Attack>\nboost 2 when me.hp max // opening\n</skill-ai>"}],
+	});
+	return startBattle({enemies: [{}, {}], actors: [{}, {hp: 10}]}).enemies;
+}
+
+test("adds and removes rules for one enemy", () => {
+	let [dragon, other] = boss();
+	assert.equal(dragon.addAiRule("Attack", "nerf 4 when me.hp max"), true);
+	assert.equal(rateSkill(dragon, 1).rating, 4);
+	assert.equal(rateSkill(other, 1).rating, 8);
+	dragon.removeAiRule("attack", "Boost 2  when me.hp max");
+	assert.equal(rateSkill(dragon, 1).rating, 2);
+	dragon.removeAiRule("Attack", "nerf 4 when me.hp max");
+	assert.equal(rateSkill(dragon, 1).rating, 6);
+	dragon.addAiRule("Attack", "boost 2 when me.hp max");
+	assert.equal(rateSkill(dragon, 1).rating, 8);
+});
+
+test("adds target rules", () => {
+	let [dragon] = boss();
+	dragon.addAiRule(1, "target only .hp low");
+	assert.deepEqual(makeAction(dragon, 1).targetsForOpponents(), [$gameParty.members()[1]]);
+});
+
+test("refuses rules it can't understand", () => {
+	let [dragon] = boss();
+	let warn = console.warn;
+	console.warn = () => {};
+	try {
+		assert.equal(dragon.addAiRule("Attack", "boost lots when me.hp max"), false);
+		assert.equal(dragon.addAiRule("Nonexistent", "boost 1 when me.hp max"), false);
+		assert.equal(dragon.setAiProfile("Sleepy"), false);
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(rateSkill(dragon, 1).rating, 8);
+});
+
+test("switches profiles", () => {
+	let [dragon] = boss();
+	dragon.setAiProfile("Enraged");
+	assert.equal(rateSkill(dragon, 1).rating, 17);
+	dragon.setAiProfile("Calm, Enraged");
+	assert.equal(rateSkill(dragon, 1).rating, 18);
+	dragon.setAiProfile(null);
+	assert.equal(rateSkill(dragon, 1).rating, 8);
+});
+
+test("turns the rules off and on", () => {
+	let [dragon] = boss();
+	dragon.setAiEnabled(false);
+	assert.equal(dragon.isAiEnabled(), false);
+	assert.equal(rateSkill(dragon, 1).rating, 5);
+	assert.equal(makeAction(dragon, 1).makeTgrModifier(), undefined);
+	dragon.setAiEnabled(true);
+	assert.equal(rateSkill(dragon, 1).rating, 8);
+});
+
+test("keeps changes as plain data that survives saving", () => {
+	let [dragon] = boss();
+	dragon.addAiRule("Attack", "boost 100 when me.hp max");
+	dragon.removeAiRule("Attack", "boost 2 when me.hp max");
+	dragon.setAiProfile("Enraged");
+	let saved = JSON.parse(JSON.stringify(dragon._aiOverrides));
+	loadPlugin({
+		parameters: {"AI Profiles": profiles},
+		enemies: [{name: "Dragon", note: "<ai-profile Calm>\n<skill-ai Attack>\nboost 2 when me.hp max\n</skill-ai>"}],
+	});
+	let [loaded] = startBattle({enemies: [{_aiOverrides: saved}]}).enemies;
+	assert.equal(rateSkill(loaded, 1).rating, 115);
+	loaded.clearAiOverrides();
+	assert.equal(rateSkill(loaded, 1).rating, 8);
+});
+
+test("runs MZ plugin commands on troop members", () => {
+	let [dragon, other] = boss();
+	PluginManager.callCommand("LWP_AiAdjustment", "addRule", {enemy: "2", skill: "Attack", rule: "boost 1 when me.hp max"});
+	assert.deepEqual([rateSkill(dragon, 1).rating, rateSkill(other, 1).rating], [8, 9]);
+	PluginManager.callCommand("LWP_AiAdjustment", "disable", {enemy: "0"});
+	assert.deepEqual([rateSkill(dragon, 1).rating, rateSkill(other, 1).rating], [5, 5]);
+	PluginManager.callCommand("LWP_AiAdjustment", "clear", {enemy: "0"});
+	assert.deepEqual([rateSkill(dragon, 1).rating, rateSkill(other, 1).rating], [8, 8]);
+});
+
+test("runs MV plugin commands on troop members", () => {
+	let [dragon, other] = boss();
+	let command = (text) => {
+		let args = text.split(" ");
+		new Game_Interpreter().pluginCommand(args.shift(), args);
+	};
+	command("AiAdjustment addRule 1 <Attack> nerf 3 when me.hp max");
+	assert.deepEqual([rateSkill(dragon, 1).rating, rateSkill(other, 1).rating], [5, 8]);
+	command("AiAdjustment setProfile 0 Enraged");
+	assert.deepEqual([rateSkill(dragon, 1).rating, rateSkill(other, 1).rating], [14, 17]);
+	command("AiAdjustment removeRule 1 <Attack> nerf 3 when me.hp max");
+	assert.equal(rateSkill(dragon, 1).rating, 17);
+});
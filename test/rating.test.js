@@ -0,0 +1,357 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, rateSkill, makeActions} = require("./rpgmaker");
+
+// Loads one enemy with the given <skill-ai> notetags and starts a battle
+// against one actor; returns the enemy.
+function enemyWith(note, options = {}) {
+	loadPlugin(Object.assign({enemies: [{name: "Slime", note}]}, options));
+	return startBattle({enemies: [{}], actors: [{}], troopId: options.troops ? 1 : 0}).enemies[0];
+}
+
+test("adds boosts and nerfs to the rating", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+boost 3 when me.hp max
+nerf 1 when me.hp max
+boost 10 when me.hp low
+boost 1.5 when me.hp max
+</skill-ai>`);
+	assert.equal(rateSkill(enemy, 1).rating, 8.5);
+	assert.equal(rateSkill(enemy, 2).rating, 5);
+});
+
+test("applies set, then boosts, then scales, however they're written", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+scale 2x when me.hp max
+boost 1 when me.hp max
+set 3 when me.hp max
+set 4 when me.hp max
+scale 0.5 when me.hp max
+</skill-ai>`);
+	assert.equal(rateSkill(enemy, 1).rating, 5);
+});
+
+test("flags forbidden and forced actions", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+forbid when me.hp max
+</skill-ai>
+<skill-ai Fire I>
+force when me.hp max
+</skill-ai>
+<skill-ai Heal>
+force when me.hp low
+</skill-ai>`);
+	assert.deepEqual([1, 3, 4].map(id => {
+		let {forbidden, forced} = rateSkill(enemy, id);
+		return [forbidden, forced];
+	}), [[true, false], [false, true], [false, false]]);
+});
+
+test("lists the rules that changed a rating", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+boost 3 when me.hp max
+nerf 1 when me.hp low
+</skill-ai>`);
+	assert.deepEqual(rateSkill(enemy, 1).rules, ["boost 3 when me.hp max"]);
+});
+
+test("chooses only from allowed actions", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+forbid when me.hp max
+</skill-ai>
+<skill-ai Fire I>
+force when me.hp max
+</skill-ai>`);
+	LWP_AiAdjustment.setRandom(() => 0);
+	enemy.selectAllActions([{skillId: 1, rating: 9}, {skillId: 2, rating: 5}, {skillId: 3, rating: 5}]);
+	assert.equal(enemy._actions[0].item().name, "Fire I");
+});
+
+test("chooses by rating with the plugin's random numbers", () => {
+	let enemy = enemyWith("");
+	let actions = [{skillId: 1, rating: 5}, {skillId: 3, rating: 4.5}];
+	// Ratings above 2 (5 - 3) count: 3 for Attack, 2.5 for Fire I.
+	LWP_AiAdjustment.setRandom(() => 0.54);
+	enemy.selectAllActions(actions);
+	assert.equal(enemy._actions[0].item().name, "Attack");
+	LWP_AiAdjustment.setRandom(() => 0.55);
+	enemy.selectAllActions(actions);
+	assert.equal(enemy._actions[0].item().name, "Fire I");
+});
+
+test("rates each action knowing what was chosen before it", () => {
+	let enemy = enemyWith(`<skill-ai Fire I>
+force when slot equal 1
+nerf 10 when chosen this turn
+</skill-ai>
+<skill-ai Heal>
+boost 1 when chosen this turn above 1
+</skill-ai>`);
+	enemy._numActions = 3;
+	makeActions(enemy);
+	LWP_AiAdjustment.setRandom(() => 0);
+	enemy.selectAllActions([{skillId: 1, rating: 5}, {skillId: 3, rating: 5}, {skillId: 4, rating: 5}]);
+	assert.deepEqual(enemy._actions.map(action => action.item().name), ["Fire I", "Attack", "Attack"]);
+});
+
+test("lets earlier plugins' selectAllActions choose each action", () => {
+	let calls = [];
+	loadPlugin({
+		earlierPlugins() {
+			let selectAllActions = Game_Enemy.prototype.selectAllActions;
+			Game_Enemy.prototype.selectAllActions = function(actionList) {
+				calls.push({numActions: this.numActions(), skillIds: actionList.map(action => action.skillId)});
+				selectAllActions.call(this, actionList.filter(action => action.skillId !== 4));
+			};
+		},
+		enemies: [{note: "<skill-ai Fire I>\nforbid when chosen this turn\n</skill-ai>"}],
+	});
+	let enemy = startBattle({enemies: [{_numActions: 2}], actors: [{}]}).enemies[0];
+	LWP_AiAdjustment.setRandom(() => 0);
+	enemy.selectAllActions([{skillId: 3, rating: 5}, {skillId: 4, rating: 5}, {skillId: 1, rating: 5}]);
+	assert.deepEqual(calls, [{numActions: 1, skillIds: [3, 4, 1]}, {numActions: 1, skillIds: [4, 1]}]);
+	assert.deepEqual(enemy._actions.map(action => action.item().name), ["Fire I", "Attack"]);
+	assert.equal(enemy.numActions(), 2);
+});
+
+test("works out the action being chosen during auto-battle", () => {
+	loadPlugin({actors: [{note: "<skill-ai Fire I>\nboost 1 when chosen this turn\nboost 10 when slot equal 2\n</skill-ai>"}]});
+	let actor = startBattle({enemies: [{}], actors: [{_numActions: 2}]}).actors[0];
+	let action = new Game_Action(actor);
+	action.setSkill(3);
+	assert.equal(action.evaluate(), 0);
+	actor.action(0).setSkill(3);
+	assert.equal(action.evaluate(), 11);
+});
+
+test("rates each auto-battle candidate for the action being filled", () => {
+	loadPlugin({actors: [{note: `<skill-ai Attack>
+boost 1 when me.hp max
+</skill-ai>
+<skill-ai Fire I>
+boost 10 when slot equal 1
+nerf 5 when chosen this turn
+</skill-ai>`}]});
+	let actor = startBattle({enemies: [{}], actors: [{_numActions: 2, _skillIds: [1, 3]}]}).actors[0];
+	actor.makeAutoBattleActions();
+	assert.deepEqual(actor._actions.map(action => action.item().name), ["Fire I", "Attack"]);
+	actor._numActions = 1;
+	makeActions(actor);
+	actor.makeAutoBattleActions();
+	assert.equal(actor.action(0).item().name, "Fire I");
+});
+
+test("makes the same choices every battle with a seed", () => {
+	let choices = () => {
+		let enemy = startBattle({enemies: [{}], actors: [{}]}).enemies[0];
+		let chosen = [];
+		for (let i = 0; i < 20; i++) {
+			enemy.selectAllActions([{skillId: 1, rating: 5}, {skillId: 3, rating: 5}, {skillId: 4, rating: 5}]);
+			chosen.push(enemy._actions[0].item().id);
+		}
+		return chosen;
+	};
+	loadPlugin({enemies: [{}], parameters: {"Random Seed": "1234"}});
+	let first = choices();
+	assert.deepEqual(choices(), first);
+	assert.equal(new Set(first).size, 3);
+	LWP_AiAdjustment.setRandomSeed(99);
+	assert.notDeepEqual(choices(), first);
+});
+
+test("uses rules for groups of skills", () => {
+	let enemy = enemyWith(`<skill-ai *>
+boost 1 when me.hp max
+</skill-ai>
+<skill-ai stype Magic>
+boost 10 when me.hp max
+</skill-ai>
+<skill-ai element Fire>
+boost 100 when me.hp max
+</skill-ai>
+<skill-ai attack>
+boost 1000 when me.hp max
+</skill-ai>`);
+	assert.deepEqual([1, 2, 3, 4, 5].map(id => rateSkill(enemy, id, 0).rating), [1001, 1, 111, 11, 1]);
+});
+
+test("prefers a skill's own name to a group of the same name", () => {
+	let enemy = enemyWith(`<skill-ai Heal>
+boost 1 when me.hp max
+</skill-ai>
+<skill-ai type heal>
+boost 10 when me.hp max
+</skill-ai>
+<skill-ai Magical>
+boost 100 when me.hp max
+</skill-ai>
+<skill-ai hit magical>
+boost 1000 when me.hp max
+</skill-ai>`, {skills: [
+		{name: "Attack"},
+		{name: "Heal", damage: {type: 3, elementId: 0}},
+		{name: "Cure", damage: {type: 3, elementId: 0}},
+		{name: "Magical", hitType: 2},
+		{name: "Fire", hitType: 2},
+	]});
+	assert.deepEqual([1, 2, 3, 4, 5].map(id => rateSkill(enemy, id, 0).rating), [0, 11, 10, 1100, 1000]);
+});
+
+test("combines rules from profiles, the enemy, the troop and states", () => {
+	loadPlugin({
+		parameters: {"AI Profiles": JSON.stringify([JSON.stringify({
+			Name: "Careful",
+			Rules: JSON.stringify("<skill-ai Attack>\nset 1 when me.hp max\nboost 1 when me.hp max\n</skill-ai>"),
+		})])},
+		enemies: [{note: "<ai-profile Careful>\n<skill-ai Attack>\nboost 10 when me.hp max\n</skill-ai>"}],
+		troops: [{pages: [{list: [
+			{code: 108, parameters: ["<skill-ai Attack>"]},
+			{code: 408, parameters: ["scale 2x when me.hp max"]},
+			{code: 408, parameters: ["</skill-ai>"]},
+		]}]}],
+		states: [{name: "Dead"}, {name: "Angry", note: "<skill-ai Attack>\nboost 100 when me.hp max\n</skill-ai>"}],
+	});
+	let enemy = startBattle({enemies: [{_states: [2]}], actors: [{}], troopId: 1}).enemies[0];
+	assert.equal(rateSkill(enemy, 1).rating, (1 + 1 + 10 + 100) * 2);
+});
+
+test("uses an actor's and their class's rules", () => {
+	loadPlugin({
+		actors: [{note: "<skill-ai Attack>\nboost 1 when me.hp max\n</skill-ai>"}],
+		classes: [{note: "<skill-ai Attack>\nboost 2 when me.hp max\n</skill-ai>"}],
+	});
+	let actor = startBattle({enemies: [{}], actors: [{}]}).actors[0];
+	assert.equal(rateSkill(actor, 1).rating, 8);
+});
+
+test("changes auto-battle evaluations", () => {
+	loadPlugin({actors: [{note: `<skill-ai Attack>
+boost 1 when me.hp max
+</skill-ai>
+<skill-ai Fire I>
+forbid when me.hp max
+</skill-ai>
+<skill-ai Heal>
+force when me.hp max
+target .hp low
+</skill-ai>`}]});
+	let actor = startBattle({enemies: [{}], actors: [{}]}).actors[0];
+	let evaluate = (skillId) => {
+		let action = new Game_Action(actor);
+		action.setSkill(skillId);
+		action._evaluation = 0.5;
+		action._targetIndex = 0;
+		return [action.evaluate(), action._targetIndex];
+	};
+	assert.deepEqual(evaluate(1), [1.5, 0]);
+	assert.deepEqual(evaluate(3), [-Infinity, 0]);
+	assert.deepEqual(evaluate(4), [1000000.5, -1]);
+});
+
+test("forbids skills that are cooling down or used up", () => {
+	let enemy = enemyWith(`<skill-ai Attack>
+cooldown 1
+</skill-ai>
+<skill-ai Fire I>
+limit 2 per battle
+</skill-ai>`);
+	let forbidden = (skillId) => rateSkill(enemy, skillId).forbidden;
+	enemy.useItem($dataSkills[1]);
+	enemy.useItem($dataSkills[3]);
+	assert.deepEqual([forbidden(1), forbidden(3)], [true, false]);
+	enemy.onTurnEnd();
+	assert.deepEqual([forbidden(1), forbidden(3)], [true, false]);
+	enemy.useItem($dataSkills[3]);
+	enemy.onTurnEnd();
+	assert.deepEqual([forbidden(1), forbidden(3)], [false, true]);
+	startBattle({enemies: [{}]});
+	assert.equal(rateSkill($gameTroop.members()[0], 3).forbidden, false);
+});
+
+test("counts skills chosen for earlier actions this turn as used", () => {
+	let choose = (note) => {
+		loadPlugin({enemies: [{note}]});
+		let enemy = startBattle({enemies: [{_numActions: 3}], actors: [{}]}).enemies[0];
+		LWP_AiAdjustment.setRandom(() => 0.99);
+		enemy.selectAllActions([{skillId: 1, rating: 5}, {skillId: 3, rating: 5}, {skillId: 4, rating: 5}]);
+		return enemy._actions.map(action => action.item().name);
+	};
+	assert.deepEqual(choose("<skill-ai Fire I>\nlimit 1 per turn\nforce when me.hp max\n</skill-ai>"),
+		["Fire I", "Heal", "Heal"]);
+	assert.deepEqual(choose("<skill-ai Fire I>\nlimit 2 per battle\nforce when me.hp max\n</skill-ai>"),
+		["Fire I", "Fire I", "Heal"]);
+	assert.deepEqual(choose("<skill-ai Heal>\ncooldown 2\nforce when me.hp max\n</skill-ai>"),
+		["Heal", "Fire I", "Fire I"]);
+	assert.deepEqual(choose("<skill-ai Fire I>\ncooldown 2\nforce when slot equal 1\n</skill-ai>\n" +
+		"<skill-ai Attack>\nforce when me.cooldown Fire I above 0\n</skill-ai>"),
+		["Fire I", "Attack", "Attack"]);
+});
+
+test("remembers what happened earlier in the battle", () => {
+	loadPlugin({enemies: [{note: `<skill-ai Heal>
+nerf 10 when me.used last turn
+boost 5 when me.damage taken last turn above 30%
+</skill-ai>`}]});
+	let {enemies, actors} = startBattle({enemies: [{}], actors: [{}]});
+	let enemy = enemies[0];
+	enemy.useItem($dataSkills[4]);
+	let attack = new Game_Action(actors[0]);
+	attack.setSkill(3);
+	$dataSkills[3].power = 40;
+	attack.apply(enemy);
+	assert.equal(rateSkill(enemy, 4).rating, 5);
+	enemy.onTurnEnd();
+	assert.equal(rateSkill(enemy, 4).rating, 0);
+});
+
+test("reports rules it can't understand", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		let enemy = enemyWith("<skill-ai Attack>\nboost 2 when me.hp max\nboost 2 wen me.hp max\nboost 2 when me.hp sometimes\n</skill-ai>");
+		assert.equal(rateSkill(enemy, 1).rating, 7);
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(warnings.length, 2);
+	assert.match(warnings[0], /Enemy 1 \(Slime\), skill Attack, line 3: "boost 2 wen me.hp max"/);
+	assert.throws(() => enemyWith("<skill-ai Nonexistent>\n</skill-ai>", {parameters: {"Invalid Rules": "error"}}),
+		/Nonexistent/);
+});
+
+test("reports comparisons with words left over and properties no battler has", () => {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		let enemy = enemyWith(`<skill-ai Attack>
+boost 1 when me.hp maxed
+boost 1 when me.hp lowest-ish
+boost 1 when me.hp garbage above 3
+boost 1 when me.hp lower than 5
+boost 1 when me.hpp low
+boost 1 when me.atk above .mhpp
+boost 2 when me.hp max
+boost 4 when me.stagger above 2
+</skill-ai>`);
+		assert.equal(warnings.length, 4);
+		assert.match(warnings[0], /line 2: "boost 1 when me.hp maxed" - Could not parse comparison "maxed"/);
+		enemy.stagger = 3;
+		assert.equal(rateSkill(enemy, 1).rating, 11);
+		assert.equal(rateSkill(enemy, 1).rating, 11);
+	} finally {
+		console.warn = warn;
+	}
+	assert.equal(warnings.length, 6);
+	assert.match(warnings[4], /has no property "hpp"/);
+	assert.match(warnings[5], /has no property "mhpp"/);
+});
+
+test("doesn't touch game data while loading", () => {
+	loadPlugin({enemies: [{}]});
+	assert.deepEqual($gameVariables._data, []);
+	assert.equal($dataStates.length, 5);
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin} = require("./rpgmaker");
+
+// Loads the database used by the report tests, with warnings silenced;
+// returns the warnings.
+function loadEnemies() {
+	let warnings = [];
+	let warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	try {
+		loadPlugin({
+			parameters: {"AI Profiles": JSON.stringify([JSON.stringify({
+				Name: "Careful",
+				Rules: JSON.stringify("<skill-ai Heal>\nforce when me.hp  low\n</skill-ai>"),
+			})])},
+			enemies: [
+				{name: "Slime", actions: [{skillId: 1, rating: 5}, {skillId: 4, rating: 3}], note: `<ai-profile Careful>
+<ai-low-fraction 1/4>
+<skill-ai Attack>
+Boost 3   when me.hp max // keeps it up
+nerf 2 when me.mp low
+TARGET only .hp lowest
+cooldown 2
+</skill-ai>
+<skill-ai Fire I>
+boost 1 when me.hp max
+</skill-ai>
+<skill-ai Heal>
+boost 2 wen me.hp low
+</skill-ai>`},
+				{name: "", actions: []},
+				{name: "Bat", actions: [{skillId: 3, rating: 5}]},
+			],
+		});
+	} finally {
+		console.warn = warn;
+	}
+	return warnings;
+}
+
+test("reports every enemy's actions and rules as JSON", () => {
+	loadEnemies();
+	let report = JSON.parse(LWP_AiAdjustment.aiReport("json"));
+	assert.deepEqual(report.map(enemy => enemy.name), ["Slime", "Bat"]);
+	let slime = report[0];
+	assert.deepEqual(slime.profiles, ["Careful"]);
+	assert.deepEqual(slime.settings, {lowFraction: 0.25});
+	assert.deepEqual(slime.actions, [
+		{skillId: 1, skill: "Attack", rating: 5, rules: [
+			{rule: "boost 3 when me.hp max", from: "<skill-ai Attack>"},
+			{rule: "nerf 2 when me.mp low", from: "<skill-ai Attack>"},
+			{rule: "target only .hp lowest", from: "<skill-ai Attack>"},
+			{rule: "cooldown 2", from: "<skill-ai Attack>"},
+		]},
+		{skillId: 4, skill: "Heal", rating: 3, rules: [
+			{rule: "force when me.hp low", from: "<skill-ai Heal> in profile Careful"},
+		]},
+	]);
+	assert.equal(slime.warnings.length, 2);
+	assert.match(slime.warnings[0], /line 13: "boost 2 wen me.hp low"/);
+	assert.match(slime.warnings[1], /None of the enemy's actions use the rules in <skill-ai Fire I>/);
+	assert.deepEqual(report[1], {id: 3, name: "Bat", profiles: [], settings: {}, actions: [
+		{skillId: 3, skill: "Fire I", rating: 5, rules: []},
+	], warnings: []});
+});
+
+test("reports as Markdown by default", () => {
+	loadEnemies();
+	let markdown = LWP_AiAdjustment.aiReport();
+	assert.match(markdown, /^# AI report\n\n## 1: Slime\n\nProfiles: Careful\n\nSettings: lowFraction 0.25\n\n/);
+	assert.match(markdown, /\n- Attack, rating 5\n  - `boost 3 when me.hp max` from <skill-ai Attack>\n/);
+	assert.match(markdown, /\nWarnings:\n\n- Enemy 1 \(Slime\)/);
+	assert.match(markdown, /\n## 3: Bat\n\n- Fire I, rating 5\n$/);
+});
+
+test("prints the report when it can't be saved", () => {
+	loadEnemies();
+	let logged = [];
+	let log = console.log;
+	console.log = (message) => logged.push(message);
+	try {
+		assert.equal(LWP_AiAdjustment.saveAiReport("json"), null);
+		PluginManager.callCommand("LWP_AiAdjustment", "aiReport", {format: "markdown"});
+	} finally {
+		console.log = log;
+	}
+	assert.equal(logged[0], LWP_AiAdjustment.aiReport("json"));
+	assert.equal(logged[1], LWP_AiAdjustment.aiReport("markdown"));
+});
@@ -0,0 +1,401 @@
+"use strict";
+
+// Just enough of RPG Maker's core classes to load the plugin and make AI
+// decisions without the engine. The stubs follow the real core code where
+// the plugin depends on its behaviour, and are otherwise as simple as
+// possible. Every call to loadPlugin starts again from fresh classes and
+// data, so tests don't affect each other.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const pluginFile = path.join(__dirname, "..", "LWP_AiAdjustment.js");
+const pluginSource = fs.readFileSync(pluginFile, "utf8");
+
+// Scopes from the database, as in RPG Maker's Game_Action.
+const scopes = {
+	oneEnemy: 1, allEnemies: 2, randomEnemy: 3, twoRandomEnemies: 4,
+	oneAlly: 7, allAllies: 8, oneDeadAlly: 9, allDeadAllies: 10, user: 11,
+	oneAllyDeadOrAlive: 12, allAlliesDeadOrAlive: 13,
+};
+
+function installStubs(parameters) {
+	global.PluginManager = {
+		_commands: {},
+		parameters: () => parameters,
+		registerCommand(pluginName, commandName, func) {
+			this._commands[pluginName + ":" + commandName] = func;
+		},
+		callCommand(pluginName, commandName, args) {
+			this._commands[pluginName + ":" + commandName](args);
+		},
+	};
+	global.DataManager = {
+		isDatabaseLoaded: () => true,
+		isSkill: (item) => !!item && $dataSkills.includes(item),
+	};
+	global.BattleManager = {
+		_subject: null,
+		setup: () => {},
+		endBattle: () => {},
+	};
+	global.Utils = {RPGMAKER_NAME: "MZ", isNwjs: () => false};
+	global.Graphics = {boxWidth: 816, boxHeight: 624};
+	global.Input = {keyMapper: {}, isTriggered: () => false};
+	global.Rectangle = function(x, y, width, height) {
+		Object.assign(this, {x, y, width, height});
+	};
+	// Windows draw their text into a list of lines.
+	global.Window_Base = function() {};
+	Window_Base.prototype = {
+		constructor: Window_Base,
+		initialize() {
+			this.visible = true;
+			this.contents = {lines: [], clear() { this.lines = []; }, drawText(text) { this.lines.push(text); }};
+		},
+		update() {},
+		show() { this.visible = true; },
+		hide() { this.visible = false; },
+		contentsWidth() { return 0; },
+	};
+	global.Game_Interpreter = function() {};
+	Game_Interpreter.prototype.pluginCommand = function() {};
+	global.Scene_Battle = function() {};
+	Scene_Battle.prototype.createAllWindows = function() {};
+	Scene_Battle.prototype.addWindow = function(window) {
+		this._windows = (this._windows || []).concat([window]);
+	};
+	Scene_Battle.prototype.update = function() {};
+	Math.randomInt = (max) => Math.floor(max * Math.random());
+
+	global.$gameSwitches = {_data: [], value(id) { return !!this._data[id]; }};
+	global.$gameVariables = {_data: [], value(id) { return this._data[id] || 0; }};
+	global.$gameTemp = {isPlaytest: () => false};
+	global.$gameParty = null;
+	global.$gameTroop = null;
+
+	global.Game_Battler = Game_Battler;
+	global.Game_Actor = Game_Actor;
+	global.Game_Enemy = Game_Enemy;
+	global.Game_Unit = Game_Unit;
+	global.Game_Action = Game_Action;
+	defineBattler();
+	defineUnit();
+	defineAction();
+}
+
+function Game_Battler() {}
+function Game_Actor() {}
+function Game_Enemy() {}
+function Game_Unit(members) {
+	this._members = members;
+}
+function Game_Action(subject) {
+	this._subject = subject;
+	this._skillId = 0;
+	this._targetIndex = -1;
+}
+
+function defineBattler() {
+	Game_Battler.prototype = {
+		constructor: Game_Battler,
+		name() { return this._name; },
+		isActor() { return false; },
+		isEnemy() { return false; },
+		isAlive() { return this.hp > 0; },
+		isDead() { return this.hp <= 0; },
+		isDeathStateAffected() { return this.hp <= 0; },
+		index() { return this.friendsUnit().members().indexOf(this); },
+		states() { return this._states.map(id => $dataStates[id]); },
+		isStateAffected(id) { return this._states.includes(id); },
+		param(id) { return this._params[id]; },
+		buff(id) { return this._buffs[id] || 0; },
+		elementRate(id) { return this._elementRates[id] === undefined ? 1 : this._elementRates[id]; },
+		stateRate(id) { return this._stateRates[id] === undefined ? 1 : this._stateRates[id]; },
+		attackElements() { return [1]; },
+		attackSkillId() { return 1; },
+		guardSkillId() { return 2; },
+		maxTp() { return 100; },
+		confusionLevel() { return this._confusionLevel; },
+		isConfused() { return this._confusionLevel > 0; },
+		clearActions() { this._actions = []; },
+		numActions() { return this._actions.length; },
+		action(index) { return this._actions[index]; },
+		setAction(index, action) { this._actions[index] = action; },
+		currentAction() { return this._actions[0]; },
+		removeCurrentAction() { this._actions.shift(); },
+		onTurnEnd() {},
+		useItem() {},
+		result() { return this._result; },
+	};
+	Game_Actor.prototype = Object.assign(Object.create(Game_Battler.prototype), {
+		constructor: Game_Actor,
+		isActor() { return true; },
+		actor() { return $dataActors[this._actorId]; },
+		currentClass() { return $dataClasses[this._classId]; },
+		friendsUnit() { return $gameParty; },
+		opponentsUnit() { return $gameTroop; },
+		// A new action for each of the actor's skills (Attack, unless the
+		// test gives others).
+		makeActionList() {
+			return (this._skillIds || [1]).map(skillId => {
+				let action = new Game_Action(this);
+				action.setSkill(skillId);
+				return action;
+			});
+		},
+		// As in RPG Maker MZ: each action is set to the best candidate so
+		// far as soon as it's found.
+		makeAutoBattleActions() {
+			for (let i = 0; i < this.numActions(); i++) {
+				let maxValue = -Number.MAX_VALUE;
+				for (const action of this.makeActionList()) {
+					let value = action.evaluate();
+					if (value > maxValue) {
+						maxValue = value;
+						this.setAction(i, action);
+					}
+				}
+			}
+		},
+	});
+	Game_Enemy.prototype = Object.assign(Object.create(Game_Battler.prototype), {
+		constructor: Game_Enemy,
+		isEnemy() { return true; },
+		enemy() { return $dataEnemies[this._enemyId]; },
+		enemyId() { return this._enemyId; },
+		friendsUnit() { return $gameTroop; },
+		opponentsUnit() { return $gameParty; },
+		// As in RPG Maker MZ: only actions rated within 3 of the best are
+		// considered, and one is chosen for each of the enemy's actions.
+		selectAllActions(actionList) {
+			const ratingMax = Math.max(...actionList.map(a => a.rating));
+			const ratingZero = ratingMax - 3;
+			actionList = actionList.filter(a => a.rating > ratingZero);
+			for (let i = 0; i < this.numActions(); i++) {
+				this.action(i).setEnemyAction(this.selectAction(actionList, ratingZero));
+			}
+		},
+		selectAction(actionList, ratingZero) {
+			const sum = actionList.reduce((r, a) => r + a.rating - ratingZero, 0);
+			if (sum > 0) {
+				let value = Math.randomInt(sum);
+				for (const action of actionList) {
+					value -= action.rating - ratingZero;
+					if (value < 0) {
+						return action;
+					}
+				}
+			}
+			return null;
+		},
+	});
+	["mhp", "mmp", "atk", "def", "mat", "mdf", "agi", "luk"].forEach((name, id) => {
+		Object.defineProperty(Game_Battler.prototype, name, {get() { return this._params[id]; }});
+	});
+}
+
+function defineUnit() {
+	Game_Unit.prototype = {
+		constructor: Game_Unit,
+		members() { return this._members; },
+		aliveMembers() { return this._members.filter(member => member.isAlive()); },
+		deadMembers() { return this._members.filter(member => member.isDead()); },
+		inBattle() { return true; },
+		troop() { return this._troop || null; },
+		turnCount() { return this._turnCount || 0; },
+		randomTarget() {
+			let tgrRand = Math.random() * this.aliveMembers().reduce((r, member) => r + member.tgr, 0);
+			let target = null;
+			for (const member of this.aliveMembers()) {
+				tgrRand -= member.tgr;
+				if (tgrRand <= 0 && !target) {
+					target = member;
+				}
+			}
+			return target;
+		},
+		randomDeadTarget() {
+			let members = this.deadMembers();
+			return members.length ? members[Math.randomInt(members.length)] : null;
+		},
+		smoothTarget(index) {
+			let member = this._members[Math.max(0, index)];
+			return member && member.isAlive() ? member : this.aliveMembers()[0];
+		},
+		smoothDeadTarget(index) {
+			let member = this._members[Math.max(0, index)];
+			return member && member.isDead() ? member : this.deadMembers()[0];
+		},
+	};
+}
+
+function defineAction() {
+	Game_Action.prototype = {
+		constructor: Game_Action,
+		subject() { return this._subject; },
+		friendsUnit() { return this._subject.friendsUnit(); },
+		opponentsUnit() { return this._subject.opponentsUnit(); },
+		setSkill(skillId) { this._skillId = skillId; },
+		setEnemyAction(action) { this._skillId = action ? action.skillId : 0; },
+		item() { return $dataSkills[this._skillId]; },
+		isSkill() { return this._skillId > 0; },
+		checkItemScope(list) { return list.includes(this.item().scope); },
+		isForOpponent() { return this.checkItemScope([1, 2, 3, 4, 5, 6]); },
+		isForFriend() { return this.checkItemScope([7, 8, 9, 10, 11, 12, 13]); },
+		isForDeadFriend() { return this.checkItemScope([9, 10]); },
+		isForAliveFriend() { return this.checkItemScope([7, 8, 11]); },
+		isForUser() { return this.checkItemScope([11]); },
+		isForOne() { return this.checkItemScope([1, 3, 7, 9, 11, 12]); },
+		isForRandom() { return this.checkItemScope([3, 4, 5, 6]); },
+		numTargets() { return this.isForRandom() ? this.item().scope - 2 : 0; },
+		targetsForOpponents() {
+			let unit = this.opponentsUnit();
+			if (this.isForOne()) {
+				return [unit.smoothTarget(this._targetIndex)];
+			}
+			return unit.aliveMembers();
+		},
+		targetsForFriends() {
+			let unit = this.friendsUnit();
+			if (this.isForUser()) {
+				return [this.subject()];
+			} else if (this.isForDeadFriend()) {
+				return this.isForOne() ? [unit.smoothDeadTarget(this._targetIndex)] : unit.deadMembers();
+			} else if (this.isForAliveFriend()) {
+				return this.isForOne() ? [unit.smoothTarget(this._targetIndex)] : unit.aliveMembers();
+			}
+			return this.isForOne() ? [unit.members()[this._targetIndex]] : unit.members();
+		},
+		clear() {
+			this._skillId = 0;
+			this._targetIndex = -1;
+		},
+		// The plugin only falls back on this when it finds no target, and
+		// then RPG Maker clears the action.
+		decideRandomTarget() {
+			this.clear();
+		},
+		makeTargets() {
+			if (this.subject().isConfused()) {
+				return [this.confusionTarget()];
+			}
+			return this.isForOpponent() ? this.targetsForOpponents() : this.targetsForFriends();
+		},
+		confusionTarget() {
+			switch (this.subject().confusionLevel()) {
+				case 1:
+					return this.opponentsUnit().randomTarget();
+				case 2:
+					if (Math.randomInt(2) === 0) {
+						return this.opponentsUnit().randomTarget();
+					}
+					return this.friendsUnit().randomTarget();
+				default:
+					return this.friendsUnit().randomTarget();
+			}
+		},
+		evaluate() { return this._evaluation || 0; },
+		// Damage is the skill's power times the element rate, with RPG
+		// Maker's 20% variance; healing skills have negative power.
+		calcElementRate(target) {
+			let elementId = this.item().damage.elementId;
+			return elementId < 0 ? target.elementRate(1) : target.elementRate(elementId);
+		},
+		makeDamageValue(target) {
+			return Math.round(this.applyVariance(this.item().power * this.calcElementRate(target), 20));
+		},
+		applyVariance(damage, variance) {
+			let amp = Math.floor(Math.max(Math.abs(damage) * variance / 100, 0));
+			return damage + Math.randomInt(amp + 1) + Math.randomInt(amp + 1) - amp;
+		},
+		apply(target) {
+			target._result = {hpDamage: this.makeDamageValue(target)};
+		},
+	};
+}
+
+function databaseList(entries, defaults) {
+	return [null].concat(entries.map((entry, i) => Object.assign({id: i + 1}, defaults(), entry)));
+}
+
+// Loads the plugin into a fresh set of stubs and database, with the
+// notetags already processed. Database entries are given without their
+// leading null; ids are filled in from their positions. earlierPlugins runs
+// before loading the plugin, and otherPlugins between loading the plugin
+// and the database, as plugins before and after it in the list would.
+function loadPlugin(options = {}) {
+	installStubs(options.parameters || {});
+	global.$dataSystem = {
+		elements: ["", "Physical", "Fire", "Ice"],
+		skillTypes: ["", "Magic", "Special"],
+	};
+	global.$dataSkills = databaseList(options.skills || [
+		{name: "Attack"}, {name: "Guard", scope: scopes.user, power: 0},
+		{name: "Fire I", stypeId: 1, hitType: 2, damage: {type: 1, elementId: 2}},
+		{name: "Heal", stypeId: 1, hitType: 2, scope: scopes.oneAlly, power: -20, damage: {type: 3, elementId: 0}},
+		{name: "Spark", stypeId: 2, scope: scopes.randomEnemy},
+		{name: "Raise", stypeId: 1, scope: scopes.oneDeadAlly, power: 0, damage: {type: 0, elementId: 0}},
+	], () => ({name: "", stypeId: 0, hitType: 1, scope: scopes.oneEnemy, power: 10, damage: {type: 1, elementId: -1}, note: ""}));
+	global.$dataStates = databaseList(options.states || [
+		{name: "Dead"}, {name: "Guard"}, {name: "Poison"}, {name: "Taunting"},
+	], () => ({name: "", note: ""}));
+	global.$dataEnemies = databaseList(options.enemies || [], () => ({name: "Enemy", note: "", actions: []}));
+	global.$dataActors = databaseList(options.actors || [], () => ({name: "Actor", note: ""}));
+	global.$dataClasses = databaseList(options.classes || [], () => ({name: "Class", note: ""}));
+	global.$dataTroops = databaseList(options.troops || [], () => ({name: "Troop", pages: [{list: []}]}));
+	if (options.earlierPlugins) {
+		options.earlierPlugins();
+	}
+	vm.runInThisContext(pluginSource, {filename: pluginFile});
+	if (options.otherPlugins) {
+		options.otherPlugins(global.LWP_AiAdjustment);
+	}
+	DataManager.isDatabaseLoaded();
+	return global.LWP_AiAdjustment;
+}
+
+function makeBattler(battler, props) {
+	return Object.assign(battler, {
+		_name: "",
+		hp: 100, mp: 50, tp: 0, tgr: 1,
+		_params: [100, 50, 10, 10, 10, 10, 10, 10],
+		_states: [], _buffs: [], _elementRates: {}, _stateRates: {},
+		_confusionLevel: 0, _numActions: 1, _result: {hpDamage: 0},
+	}, props);
+}
+
+// Gives the battler its empty actions for the turn, as makeActions does.
+function makeActions(battler) {
+	battler._actions = [];
+	for (let i = 0; i < battler._numActions; i++) {
+		battler._actions.push(new Game_Action(battler));
+	}
+	return battler;
+}
+
+// Sets up a battle between enemies and actors, given as lists of their
+// properties; enemy and actor ids default to 1. Returns the battlers.
+function startBattle({enemies = [], actors = [], troopId = 0} = {}) {
+	let troop = enemies.map(props => makeActions(makeBattler(new Game_Enemy(), Object.assign({_enemyId: 1}, props))));
+	let party = actors.map(props => makeActions(makeBattler(new Game_Actor(), Object.assign({_actorId: 1, _classId: 1}, props))));
+	global.$gameTroop = new Game_Unit(troop);
+	$gameTroop._troop = $dataTroops[troopId] || null;
+	global.$gameParty = new Game_Unit(party);
+	BattleManager.setup();
+	return {enemies: troop, actors: party};
+}
+
+// An action list entry's rating after the rules, with its flags.
+function rateSkill(battler, skillId, rating = 5) {
+	return battler.modifyAction({skillId, rating, conditionType: 0});
+}
+
+function makeAction(subject, skillId) {
+	let action = new Game_Action(subject);
+	action.setSkill(skillId);
+	return action;
+}
+
+module.exports = {loadPlugin, startBattle, rateSkill, makeAction, makeActions, scopes};
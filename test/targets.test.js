@@ -0,0 +1,269 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {loadPlugin, startBattle, makeAction, scopes} = require("./rpgmaker");
+
+// Loads one enemy with the given <skill-ai> notetags and starts a battle
+// against the given actors. Returns the enemy and the actors.
+function battleWith(note, actors, enemies = [{}]) {
+	loadPlugin({enemies: [{name: "Slime", note}]});
+	let battle = startBattle({enemies, actors});
+	return {enemy: battle.enemies[0], actors: battle.actors, enemies: battle.enemies};
+}
+
+// Each target's tgr after the rules for the enemy's skill.
+function weights(enemy, skillId) {
+	let action = makeAction(enemy, skillId);
+	let unit = action.isForFriend() ? action.friendsUnit() : action.opponentsUnit();
+	return action.makeTgrModifier()(unit.aliveMembers()).map(({tgr}) => tgr);
+}
+
+test("multiplies tgr for targets matching the condition", () => {
+	let {enemy} = battleWith(`<skill-ai Attack>
+target .hp low
+target 3x .state is Poison
+target 1.5x .hp max
+</skill-ai>`, [{hp: 10}, {_states: [3]}, {hp: 50}]);
+	assert.deepEqual(weights(enemy, 1), [2, 4.5, 1]);
+});
+
+test("leaves only matching targets with \"only\"", () => {
+	let {enemy} = battleWith(`<skill-ai Attack>
+target only .hp below 60%
+target 3x .hp low
+</skill-ai>`, [{hp: 10}, {hp: 100}, {hp: 50}]);
+	assert.deepEqual(weights(enemy, 1), [3, 0, 1]);
+});
+
+test("compares lowest and highest against the targets before any changes", () => {
+	let {enemy} = battleWith(`<skill-ai Attack>
+target 3x .hp lowest
+target .hp highest
+target .hp lowest
+</skill-ai>`, [{hp: 10}, {hp: 100}, {hp: 10}, {hp: 0}]);
+	assert.deepEqual(weights(enemy, 1), [6, 2, 6]);
+});
+
+test("can use subject conditions in target rules", () => {
+	let {enemy} = battleWith(`<skill-ai Attack>
+target 3x .hp low and me.hp low
+target 5x .hp high and me.hp high
+</skill-ai>`, [{hp: 10}, {hp: 100}]);
+	assert.deepEqual(weights(enemy, 1), [1, 5]);
+});
+
+test("prefers targets that are weak or would be killed", () => {
+	let {enemy} = battleWith(`<skill-ai Fire I>
+target 3x .weakness above 1
+target 5x .expected damage lethal
+</skill-ai>`, [{_elementRates: {2: 2}}, {hp: 10}, {}]);
+	assert.deepEqual(weights(enemy, 3), [3, 5, 1]);
+});
+
+test("chooses targets in proportion to their tgr", () => {
+	let {enemy, actors} = battleWith(`<skill-ai Attack>
+target 3x .hp low
+</skill-ai>`, [{hp: 10, _name: "Reid"}, {_name: "Priscilla"}]);
+	let action = makeAction(enemy, 1);
+	let chooseWith = (random) => {
+		LWP_AiAdjustment.setRandom(() => random);
+		return $gameParty.randomTarget(action.makeTgrModifier()).name();
+	};
+	assert.equal(chooseWith(0.74), "Reid");
+	assert.equal(chooseWith(0.75), "Priscilla");
+	// Without rules, the plain tgr of the living members is used.
+	actors[0].hp = 0;
+	LWP_AiAdjustment.setRandom(() => 0);
+	assert.equal($gameParty.randomTarget().name(), "Priscilla");
+});
+
+test("targets one opponent using the rules", () => {
+	let {enemy, actors} = battleWith(`<skill-ai Attack>
+target only .state is Taunting
+</skill-ai>`, [{}, {_states: [4]}, {}]);
+	LWP_AiAdjustment.setRandomSeed(1);
+	for (let i = 0; i < 20; i++) {
+		assert.deepEqual(makeAction(enemy, 1).targetsForOpponents(), [actors[1]]);
+	}
+});
+
+test("targets every random hit using the rules", () => {
+	loadPlugin({
+		enemies: [{note: "<skill-ai Spark>\ntarget only .hp low\n</skill-ai>"}],
+		skills: [{name: "Attack"}, {name: "Guard"}, {name: "Spark", scope: 4}],
+	});
+	let {enemies, actors} = startBattle({enemies: [{}], actors: [{}, {hp: 10}]});
+	assert.deepEqual(makeAction(enemies[0], 3).targetsForOpponents(), [actors[1], actors[1]]);
+});
+
+test("leaves chosen targets alone", () => {
+	let {enemy, actors} = battleWith(`<skill-ai Attack>
+target only .state is Taunting
+</skill-ai>`, [{}, {_states: [4]}]);
+	let action = makeAction(enemy, 1);
+	action._targetIndex = 0;
+	assert.deepEqual(action.targetsForOpponents(), [actors[0]]);
+});
+
+test("targets one friend using the rules", () => {
+	let {enemy, enemies} = battleWith(`<skill-ai Heal>
+target only .hp low
+</skill-ai>`, [{}], [{}, {hp: 10}, {}]);
+	LWP_AiAdjustment.setRandomSeed(1);
+	for (let i = 0; i < 20; i++) {
+		assert.deepEqual(makeAction(enemy, 4).targetsForFriends(), [enemies[1]]);
+	}
+});
+
+test("decides random targets for auto-battle using the rules", () => {
+	let {enemy} = battleWith(`<skill-ai Attack>
+target only .hp low
+</skill-ai>`, [{}, {}, {hp: 10}]);
+	let action = makeAction(enemy, 1);
+	action.decideRandomTarget();
+	assert.equal(action._targetIndex, 2);
+});
+
+test("weights the targets of confused battlers", () => {
+	let {enemy, actors, enemies} = battleWith(`<skill-ai Attack>
+target only .hp low
+</skill-ai>`, [{}, {hp: 10}], [{_confusionLevel: 1}, {hp: 20}]);
+	let action = makeAction(enemy, 1);
+	assert.equal(action.confusionTarget(), actors[1]);
+	enemy._confusionLevel = 3;
+	assert.equal(action.confusionTarget(), enemies[1]);
+});
+
+test("uses the target multiplier from the parameters or the enemy", () => {
+	let note = "<skill-ai Attack>\ntarget .hp low\ntarget 3x .hp low\n</skill-ai>";
+	loadPlugin({parameters: {"Target Multiplier": "1.5"}, enemies: [{note}, {note: "<ai-target-multiplier 4>\n" + note}]});
+	let {enemies} = startBattle({enemies: [{}, {_enemyId: 2}], actors: [{hp: 10}, {}]});
+	assert.deepEqual(weights(enemies[0], 1), [4.5, 1]);
+	assert.deepEqual(weights(enemies[1], 1), [12, 1]);
+});
+
+test("targets fallen allies using the rules", () => {
+	let boss = {hp: 0, _params: [500, 50, 10, 10, 10, 10, 10, 10]};
+	let {enemy, enemies} = battleWith(`<skill-ai Raise>
+target only .mhp highest
+</skill-ai>`, [{}], [{}, {hp: 0}, boss]);
+	let action = makeAction(enemy, 6);
+	assert.deepEqual(action.makeTgrModifier()(enemies[0].friendsUnit().deadMembers()).map(({tgr}) => tgr), [0, 1]);
+	LWP_AiAdjustment.setRandomSeed(1);
+	for (let i = 0; i < 20; i++) {
+		assert.deepEqual(makeAction(enemy, 6).targetsForFriends(), [enemies[2]]);
+	}
+	action.decideRandomTarget();
+	assert.equal(action._targetIndex, 2);
+});
+
+test("targets allies dead or alive using the rules", () => {
+	loadPlugin({
+		enemies: [{note: "<skill-ai Cure>\ntarget only .hp zero\n</skill-ai>"}],
+		skills: [{name: "Cure", scope: scopes.oneAllyDeadOrAlive}],
+	});
+	let {enemies} = startBattle({enemies: [{}, {hp: 10}, {hp: 0}], actors: [{}]});
+	assert.deepEqual(makeAction(enemies[0], 1).targetsForFriends(), [enemies[2]]);
+});
+
+test("always targets the user with skills for the user", () => {
+	let {enemy} = battleWith(`<skill-ai Guard>
+target only .hp low
+</skill-ai>`, [{}], [{hp: 10}, {}]);
+	let action = makeAction(enemy, 2);
+	action.decideRandomTarget();
+	assert.equal(action._targetIndex, 0);
+	enemy.hp = 100;
+	action.decideRandomTarget();
+	assert.equal(action._targetIndex, 0);
+});
+
+test("ignores the rules when they leave no one to target", () => {
+	let {enemy, actors} = battleWith(`<skill-ai Attack>
+target only .state is Taunting
+</skill-ai>`, [{hp: 0}, {}]);
+	assert.deepEqual(makeAction(enemy, 1).targetsForOpponents(), [actors[1]]);
+});
+
+// Uses the skill on the target, as the battle would.
+function hit(subject, skillId, target) {
+	makeAction(subject, skillId).apply(target);
+	return target.result().hpDamage;
+}
+
+test("keeps track of threat from damage, healing and taunts", () => {
+	loadPlugin({
+		enemies: [{note: "<skill-ai Attack>\ntarget only .threat highest\n</skill-ai>"}],
+		states: [{name: "Dead"}, {name: "Guard"}, {name: "Poison"}, {name: "Taunting", note: "<ai-taunt 1000>"}],
+	});
+	let {enemies, actors} = startBattle({enemies: [{}, {}], actors: [{}, {}, {}]});
+	hit(actors[1], 1, enemies[0]);
+	assert.deepEqual(weights(enemies[0], 1), [0, 1, 0]);
+	assert.deepEqual(weights(enemies[1], 1), [1, 1, 1]);
+	hit(actors[2], 4, actors[0]);
+	assert.deepEqual(weights(enemies[0], 1), [0, 0, 1]);
+	assert.deepEqual(weights(enemies[1], 1), [0, 0, 1]);
+	actors[0]._states = [4];
+	assert.deepEqual(weights(enemies[1], 1), [1, 0, 0]);
+});
+
+test("adds threat to tgr with a threat weight", () => {
+	loadPlugin({parameters: {"Threat Weight": "2"}, enemies: [{}, {note: "<ai-threat-weight 0>"}]});
+	let {enemies, actors} = startBattle({enemies: [{}, {_enemyId: 2}], actors: [{}, {}]});
+	assert.equal(makeAction(enemies[0], 1).makeTgrModifier()(actors).every(({tgr}) => tgr === 1), true);
+	let damage = [hit(actors[0], 1, enemies[0]), hit(actors[1], 1, enemies[0])];
+	let total = damage[0] + damage[1];
+	assert.deepEqual(weights(enemies[0], 1), [1 + 2 * damage[0] / total, 1 + 2 * damage[1] / total]);
+	assert.equal(makeAction(enemies[1], 1).makeTgrModifier(), undefined);
+});
+
+test("leaves auto-battle targets alone with only a threat weight", () => {
+	loadPlugin({parameters: {"Threat Weight": "2"}, actors: [{}]});
+	let {actors} = startBattle({enemies: [{}], actors: [{}, {hp: 10}]});
+	let heal = makeAction(actors[0], 4);
+	heal._targetIndex = 1;
+	heal.evaluate();
+	assert.equal(heal._targetIndex, 1);
+	assert.equal(heal.makeTgrModifier(), undefined);
+	let attack = makeAction(actors[0], 1);
+	attack._targetIndex = 0;
+	attack.evaluate();
+	assert.equal(attack._targetIndex, 0);
+	assert.notEqual(attack.makeTgrModifier(), undefined);
+});
+
+test("leaves random choices the rules don't affect to earlier plugins", () => {
+	let calls = 0;
+	loadPlugin({
+		earlierPlugins() {
+			Game_Unit.prototype.randomTarget = function() {
+				calls++;
+				return this.aliveMembers()[0];
+			};
+		},
+		enemies: [{note: "<skill-ai Fire I>\ntarget only .hp lowest\n</skill-ai>"}],
+	});
+	let {enemies} = startBattle({enemies: [{}], actors: [{}, {hp: 10}]});
+	assert.equal($gameParty.randomTarget(), $gameParty.members()[0]);
+	let attack = makeAction(enemies[0], 1);
+	attack.decideRandomTarget();
+	assert.equal(calls, 2);
+	let fire = makeAction(enemies[0], 3);
+	fire.decideRandomTarget();
+	assert.equal(fire._targetIndex, 1);
+	LWP_AiAdjustment.setRandomSeed(1);
+	attack.decideRandomTarget();
+	assert.equal(calls, 2);
+});
+
+test("sticks with the last target", () => {
+	let {enemy, actors} = battleWith(`<skill-ai Attack>
+target only same as last
+</skill-ai>`, [{}, {}, {}]);
+	hit(enemy, 4, enemy);
+	assert.deepEqual(weights(enemy, 1), [0, 0, 0]);
+	hit(enemy, 1, actors[2]);
+	hit(enemy, 4, enemy);
+	assert.deepEqual(weights(enemy, 1), [0, 0, 1]);
+});
@@ -0,0 +1,49 @@
+"use strict";
+
+// The @default of each setting parameter is the one place its default is
+// written down. This copies it to the help ("Low Fraction (1/3 by
+// default)") and to the plugin's own defaults for when the parameter is
+// missing. Run it with "npm run update-defaults" after changing a
+// @default; the tests fail until it has been run.
+
+const fs = require("fs");
+const path = require("path");
+
+const pluginFile = path.join(__dirname, "..", "LWP_AiAdjustment.js");
+
+const settingParameters = ["Low Fraction", "High Fraction", "Low Number", "High Number", "Target Multiplier", "Threat Weight"];
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+function parameterDefault(source, name) {
+	let match = new RegExp("^ \\* @param " + escapeRegExp(name) + "\\r?\\n(?: \\* .*\\r?\\n)*? \\* @default (.*?)\\r?$", "m").exec(source);
+	if (!match) {
+		throw new Error("No @default for " + name);
+	}
+	return match[1].trim();
+}
+
+// Returns the plugin's source with every default brought up to date.
+function updateDefaults(source) {
+	for (const name of settingParameters) {
+		let value = parameterDefault(source, name);
+		source = source
+			.replace(new RegExp(escapeRegExp(name) + " \\([^()]*? by default\\)", "g"), () => name + " (" + value + " by default)")
+			.replace(new RegExp("(parameter: \"" + escapeRegExp(name) + "\",[^\\n]*?defaultValue: )\"[^\"]*\"", "g"),
+				(all, before) => before + JSON.stringify(value));
+	}
+	return source;
+}
+
+if (require.main === module) {
+	let source = fs.readFileSync(pluginFile, "utf8");
+	let updated = updateDefaults(source);
+	if (updated !== source) {
+		fs.writeFileSync(pluginFile, updated);
+		console.log("Updated the defaults in " + path.basename(pluginFile));
+	}
+}
+
+module.exports = {settingParameters, parameterDefault, updateDefaults};